@@ -9,6 +9,13 @@ import {
   webhookDeploy,
   validateDeploymentPayload,
 } from "../commands/webhookDeploy.js";
+import { parseEnvironment } from "../utils/parseEnvironment.js";
+import {
+  authenticateApprover,
+  decideApproval,
+} from "../utils/approvals.js";
+import { DeployError } from "../utils/errors.js";
+import { APPROVALS } from "../config.js";
 
 const appId = process.env.APP_ID;
 const webhookSecret = process.env.WEBHOOK_SECRET;
@@ -36,9 +43,11 @@ const app = new App({
   },
 });
 
-// Simple deployment queue
-const deploymentQueue = [];
-let isProcessing = false;
+// One deployment queue per environment, so a prod deploy waiting for
+// approval does not hold up main or staging. Queues run side by side;
+// whatever they share (e.g. the preview port lock) is serialized by the deploy
+// locks, which in-process callers wait on like any other process.
+const deploymentQueues = new Map();
 
 app.webhooks.on("deployment.created", async ({ payload, id }) => {
   console.log(`📥 Received deployment webhook: ${id}`);
@@ -90,25 +99,36 @@ app.webhooks.on("deployment.created", async ({ payload, id }) => {
 });
 
 function queueDeployment(deploymentData) {
-  deploymentQueue.push(deploymentData);
-  console.log(`📋 Deployment queued. Queue length: ${deploymentQueue.length}`);
+  const { env } = parseEnvironment(
+    deploymentData.payload.deployment.environment
+  );
+
+  if (!deploymentQueues.has(env)) {
+    deploymentQueues.set(env, { deployments: [], isProcessing: false });
+  }
+
+  const queue = deploymentQueues.get(env);
+  queue.deployments.push(deploymentData);
+  console.log(
+    `📋 Deployment queued for ${env}. Queue length: ${queue.deployments.length}`
+  );
 
   // Start processing if not already running
-  if (!isProcessing) {
-    processDeploymentQueue();
+  if (!queue.isProcessing) {
+    processDeploymentQueue(env, queue);
   }
 }
 
-async function processDeploymentQueue() {
-  if (isProcessing || deploymentQueue.length === 0) {
+async function processDeploymentQueue(env, queue) {
+  if (queue.isProcessing || queue.deployments.length === 0) {
     return;
   }
 
-  isProcessing = true;
-  console.log(`🔄 Starting deployment queue processing`);
+  queue.isProcessing = true;
+  console.log(`🔄 Starting deployment queue processing for ${env}`);
 
-  while (deploymentQueue.length > 0) {
-    const deploymentData = deploymentQueue.shift();
+  while (queue.deployments.length > 0) {
+    const deploymentData = queue.deployments.shift();
     const { deployment } = deploymentData.payload;
 
     console.log(`⚡ Processing deployment: ${deployment.environment}`);
@@ -121,11 +141,69 @@ async function processDeploymentQueue() {
       // Continue processing other deployments in queue
     }
 
-    console.log(`📋 Remaining deployments in queue: ${deploymentQueue.length}`);
+    console.log(
+      `📋 Remaining deployments in ${env} queue: ${queue.deployments.length}`
+    );
   }
 
-  isProcessing = false;
-  console.log(`🏁 Deployment queue processing completed`);
+  queue.isProcessing = false;
+  console.log(`🏁 Deployment queue processing completed for ${env}`);
+}
+
+/**
+ * POST {APPROVAL_PATH}/{id}/approve|reject with an APPROVAL_TOKENS bearer
+ * token and an optional JSON body `{ "reason": "..." }`. The token's name is
+ * recorded as the approver.
+ */
+async function handleApprovalRequest(request, response) {
+  const match = request.url
+    .slice(approvalPath.length)
+    .match(/^\/([a-f0-9]+)\/(approve|reject)$/);
+
+  if (!match || request.method !== "POST") {
+    return sendJson(response, 404, { error: "Not found" });
+  }
+
+  const approver = authenticateApprover(request.headers.authorization);
+  if (!approver) {
+    return sendJson(response, 401, { error: "Invalid approval token" });
+  }
+
+  const [, id, decision] = match;
+
+  try {
+    const body = await readJsonBody(request);
+    const approval = await decideApproval(id, decision, {
+      by: approver,
+      via: "http",
+      reason: typeof body.reason === "string" ? body.reason : undefined,
+    });
+
+    console.log(`🗳️  Deploy ${id} ${approval.status} by ${approver} via HTTP`);
+    sendJson(response, 200, { approval });
+  } catch (error) {
+    sendJson(response, error instanceof DeployError ? 409 : 400, {
+      error: error.message,
+    });
+  }
+}
+
+async function readJsonBody(request) {
+  let body = "";
+
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > 10_000) {
+      throw new Error("Request body too large");
+    }
+  }
+
+  return body ? JSON.parse(body) : {};
+}
+
+function sendJson(response, statusCode, body) {
+  response.writeHead(statusCode, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
 }
 
 app.webhooks.onError((error) => {
@@ -139,11 +217,27 @@ app.webhooks.onError((error) => {
 const port = process.env.WEBHOOK_PORT || 3100;
 const host = process.env.WEBHOOK_HOST || "localhost";
 const webhookPath = process.env.WEBHOOK_PATH || "/api/webhook";
+const approvalPath = process.env.APPROVAL_PATH || "/api/approvals";
 const localWebhookUrl = `http://${host}:${port}${webhookPath}`;
 
 const middleware = createNodeMiddleware(app.webhooks, { path: webhookPath });
 
-http.createServer(middleware).listen(port, () => {
-  console.log(`Server is listening for events at: ${localWebhookUrl}`);
-  console.log("Press Ctrl + C to quit.");
+http
+  .createServer((request, response) => {
+    // The approval endpoint is only served when approval tokens are set
+    if (
+      APPROVALS.tokens.length > 0 &&
+      request.url.startsWith(`${approvalPath}/`)
+    ) {
+      return handleApprovalRequest(request, response);
+    }
+
+    return middleware(request, response);
+  })
+  .listen(port, () => {
+    console.log(`Server is listening for events at: ${localWebhookUrl}`);
+    if (APPROVALS.tokens.length > 0) {
+      console.log(`Approvals accepted at: http://${host}:${port}${approvalPath}`);
+    }
+    console.log("Press Ctrl + C to quit.");
 });
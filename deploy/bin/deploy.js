@@ -2,115 +2,551 @@
 
 import "../utils/requireDotEnv.js";
 import { Command } from "commander";
-import { deploy } from "../commands/deploy.js";
-import { rollback } from "../commands/rollback.js";
-import { status } from "../commands/status.js";
-import { list } from "../commands/list.js";
+import { Logger } from "../utils/logger.js";
+import { watchProcessSignals } from "../utils/cancellation.js";
+import {
+  EXIT_CODES,
+  ValidationError,
+  getExitCode,
+  serializeError,
+} from "../utils/errors.js";
+
+// --json is known before commander has parsed anything, so that usage errors
+// (unknown options, missing arguments) and an invalid deploy config can be
+// reported as JSON as well
+const jsonRequested = process.argv.slice(2).includes("--json");
+
+// config.js validates deploy.config when it is first imported, and every
+// command imports it. Load it before the commands so an invalid config is
+// reported like any other error instead of failing a static import.
+let config;
+try {
+  config = await import("../config.js");
+} catch (error) {
+  if (jsonRequested) {
+    // printJson exits once stdout is flushed; nothing below may run meanwhile
+    await new Promise(() =>
+      printJson(
+        { success: false, error: serializeError(error) },
+        getExitCode(error)
+      )
+    );
+  } else {
+    console.error(`❌ ${error.message}`);
+    process.exit(getExitCode(error));
+  }
+}
+
+const { ENVIRONMENTS, PACKAGES, DEPLOY_CONFIG, DEPLOY_CONFIG_FILE, PREVIEWS } =
+  config;
+const [
+  { deploy },
+  { rollback },
+  { promote },
+  { status },
+  { list },
+  { lockStatus, lockBreak },
+  { maintenance },
+  { approve, reject, approvalList },
+  { previewUp, previewDown, previewReap, previewList },
+] = await Promise.all([
+  import("../commands/deploy.js"),
+  import("../commands/rollback.js"),
+  import("../commands/promote.js"),
+  import("../commands/status.js"),
+  import("../commands/list.js"),
+  import("../commands/lock.js"),
+  import("../commands/maintenance.js"),
+  import("../commands/approval.js"),
+  import("../commands/preview.js"),
+]);
 
 const program = new Command();
 
-program.name("deploy").description("TobeIT69 deployment CLI").version("1.0.0");
+// Valid names come from deploy.config
+const PACKAGE_HELP = `Package name (${PACKAGES.join("|")})`;
+const ENVIRONMENT_HELP = `Environment (${ENVIRONMENTS.join("|")})`;
+
+// Collects repeatable options (e.g. -a one.tar.gz -a two.tar.gz) into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Wraps a command action: exits with the documented exit code for the
+ * outcome and, with --json, prints the command's result (or the error) as a
+ * single JSON document on stdout. Commands log through a Logger in JSON mode
+ * (`stderr: options.json`), which keeps stdout for that document.
+ * `cancellable` commands get a `signal` that Ctrl+C / SIGTERM abort while
+ * they run.
+ */
+function runCommand(handler, { cancellable = false } = {}) {
+  return async (options, command) => {
+    const { json } = command.optsWithGlobals();
+    const cancellation = cancellable
+      ? cancelOnSignals({ ...options, json })
+      : null;
+
+    let output;
+    let exitCode;
+    try {
+      output = await handler({
+        ...options,
+        json,
+        ...(cancellation && { signal: cancellation.signal }),
+      });
+      exitCode =
+        output?.success === false ? EXIT_CODES.failure : EXIT_CODES.success;
+    } catch (error) {
+      output = {
+        success: false,
+        error: serializeError(error),
+        ...(error.revert && { revert: error.revert }),
+        ...(error.reverts && { reverts: error.reverts }),
+        ...(error.steps && { steps: error.steps }),
+        ...(error.output && { output: error.output }),
+        ...(error.smokeTests && { smokeTests: error.smokeTests }),
+        ...(error.watch && { watch: error.watch }),
+        ...(error.cdnVerification && {
+          cdnVerification: error.cdnVerification,
+        }),
+        ...(error.perfCheck && { perfCheck: error.perfCheck }),
+      };
+      exitCode = getExitCode(error);
+    } finally {
+      cancellation?.dispose();
+    }
+
+    if (!json) {
+      process.exit(exitCode);
+    }
+
+    printJson(output ?? {}, exitCode);
+  };
+}
+
+function printJson(output, exitCode) {
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`, () =>
+    process.exit(exitCode)
+  );
+}
+
+// Option errors are reported before any command logger exists
+function invalidOption(message) {
+  console.error(`Error: ${message}`);
+  return new ValidationError(message);
+}
+
+// Overriding a freeze window is recorded, so it has to say why
+function checkFreezeOverride(options) {
+  if (options.overrideFreeze && !options.reason?.trim()) {
+    throw invalidOption("--override-freeze requires --reason");
+  }
+  if (options.reason && !options.overrideFreeze) {
+    throw invalidOption("--reason is only used with --override-freeze");
+  }
+}
+
+function checkCdnVerify(options) {
+  if (options.cdnVerify && !["sample", "full"].includes(options.cdnVerify)) {
+    throw invalidOption("--cdn-verify must be sample or full");
+  }
+}
+
+function checkWatch(options) {
+  if (options.watch !== undefined && !/^\d+$/.test(options.watch)) {
+    throw invalidOption("--watch must be a number of seconds");
+  }
+}
+
+// Ctrl+C / SIGTERM cancel the deployment instead of killing it mid-step
+function cancelOnSignals(options) {
+  return watchProcessSignals(
+    new Logger(options.verbose, { stderr: options.json })
+  );
+}
+
+program
+  .name("deploy")
+  .description("TobeIT69 deployment CLI")
+  .version("1.0.0")
+  .option(
+    "--json",
+    "Print one JSON document on stdout (logs go to stderr)",
+    false
+  )
+  // Inherited by every subcommand: usage errors throw instead of exiting,
+  // and with --json their message goes into the JSON document
+  .exitOverride()
+  .configureOutput({
+    outputError: (message, write) => {
+      if (!jsonRequested) {
+        write(message);
+      }
+    },
+  });
 
 program
   .command("deploy")
   .description("Deploy from pre-built artifact or GitHub Actions run")
-  .option("-a, --artifact <path>", "Path to deployment artifact (.tar.gz)")
+  .option(
+    "-a, --artifact <path>",
+    "Path or https:// / s3:// URL of a deployment artifact (.tar.gz), repeat to deploy packages together",
+    collect,
+    []
+  )
   .option(
     "-r, --run-id <id>",
     "GitHub Actions run ID to download artifact from"
   )
   .option(
     "-p, --package <name>",
-    "Package name (client|server) - required when using --run-id"
+    `${PACKAGE_HELP} - required when using --run-id, repeat or comma-separate to deploy packages together`,
+    collect,
+    []
   )
   .option("-d, --deployment-id <id>", "GitHub deployment ID for status updates")
-  .option("--dry-run", "Validate without deploying", false)
+  .option("--dry-run", "Print the deployment plan without deploying", false)
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a held deploy lock instead of failing",
+    "0"
+  )
+  .option(
+    "--timeout <seconds>",
+    "Cancel the deployment if it has not finished after this long"
+  )
+  .option(
+    "--override-freeze",
+    "Deploy even though the environment is in a freeze window",
+    false
+  )
+  .option("--reason <text>", "Why the freeze is overridden (required with it)")
+  .option(
+    "--require-approval",
+    "Wait for deploy approve/reject after the isolated health check",
+    false
+  )
+  .option(
+    "--cdn-verify <mode>",
+    "CDN asset check: sample (default) or full (every asset and the test server's HTML, before cutover)"
+  )
+  .option(
+    "--watch <seconds>",
+    "Watch the release this long after cutover and roll back if it degrades (0 disables the environment's watch)"
+  )
   .option("-v, --verbose", "Detailed logging", false)
-  .action(async (options) => {
-    try {
-      // Validate that either artifact or run-id is provided
-      if (!options.artifact && !options.runId) {
-        console.error("Error: Either --artifact or --run-id must be specified");
-        process.exit(1);
-      }
+  .action(
+    runCommand(
+      async (options) => {
+        // Validate that either artifact or run-id is provided
+        if (options.artifact.length === 0 && !options.runId) {
+          throw invalidOption(
+            "Either --artifact or --run-id must be specified"
+          );
+        }
 
-      if (options.artifact && options.runId) {
-        console.error("Error: Cannot specify both --artifact and --run-id");
-        process.exit(1);
-      }
+        if (options.artifact.length > 0 && options.runId) {
+          throw invalidOption("Cannot specify both --artifact and --run-id");
+        }
 
-      // Validate required options for run-id mode
-      if (options.runId) {
-        if (!options.package) {
-          console.error("Error: --package is required when using --run-id");
-          process.exit(1);
+        // Validate required options for run-id mode
+        if (options.runId && options.package.length === 0) {
+          throw invalidOption("--package is required when using --run-id");
         }
-      }
 
-      const result = await deploy(options);
-      if (result?.success) {
-        process.exit(0);
-      } else {
-        process.exit(1);
-      }
-    } catch (error) {
-      process.exit(1);
-    }
-  });
+        checkFreezeOverride(options);
+        checkWatch(options);
+        checkCdnVerify(options);
+
+        return deploy(options);
+      },
+      { cancellable: true }
+    )
+  );
 
 program
   .command("rollback")
   .description("Rollback to a previous deployment")
-  .requiredOption("-p, --package <name>", "Package name (client|server)")
-  .requiredOption("-e, --env <environment>", "Environment (main|staging|prod)")
+  .requiredOption("-p, --package <name>", PACKAGE_HELP)
+  .requiredOption("-e, --env <environment>", ENVIRONMENT_HELP)
   .option("-c, --commit <hash>", "Specific commit to rollback to")
   .option(
     "-a, --attempt <timestamp>",
     "Specific deployment attempt (format: YYYY-MM-DD-HH-mm)"
   )
+  .option(
+    "--skip-health-check",
+    "Skip the isolated health check of the target (emergencies only, announced)",
+    false
+  )
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a held deploy lock instead of failing",
+    "0"
+  )
   .option("-v, --verbose", "Detailed logging", false)
-  .action(async (options) => {
-    try {
-      const result = await rollback(options);
-      if (result?.success) {
-        process.exit(0);
-      } else {
-        process.exit(1);
-      }
-    } catch (error) {
-      process.exit(1);
-    }
-  });
+  .action(runCommand(rollback));
+
+program
+  .command("promote")
+  .description("Promote a deployed release to another environment")
+  .requiredOption("-p, --package <name>", PACKAGE_HELP)
+  .requiredOption("--from <environment>", "Environment to promote from")
+  .requiredOption("--to <environment>", "Environment to promote to")
+  .option(
+    "-c, --commit <hash>",
+    "Commit to promote (default: active release of --from)"
+  )
+  .option("--dry-run", "Print the deployment plan without deploying", false)
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a held deploy lock instead of failing",
+    "0"
+  )
+  .option(
+    "--timeout <seconds>",
+    "Cancel the deployment if it has not finished after this long"
+  )
+  .option(
+    "--override-freeze",
+    "Deploy even though the environment is in a freeze window",
+    false
+  )
+  .option("--reason <text>", "Why the freeze is overridden (required with it)")
+  .option(
+    "--require-approval",
+    "Wait for deploy approve/reject after the isolated health check",
+    false
+  )
+  .option(
+    "--cdn-verify <mode>",
+    "CDN asset check: sample (default) or full (every asset and the test server's HTML, before cutover)"
+  )
+  .option(
+    "--watch <seconds>",
+    "Watch the release this long after cutover and roll back if it degrades (0 disables the environment's watch)"
+  )
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(
+    runCommand(
+      (options) => {
+        checkFreezeOverride(options);
+        checkWatch(options);
+        checkCdnVerify(options);
+        return promote(options);
+      },
+      { cancellable: true }
+    )
+  );
 
 program
   .command("status")
   .description("Show current active deployment status")
-  .requiredOption("-p, --package <name>", "Package name (client|server)")
-  .requiredOption("-e, --env <environment>", "Environment (main|staging|prod)")
+  .requiredOption("-p, --package <name>", PACKAGE_HELP)
+  .requiredOption("-e, --env <environment>", ENVIRONMENT_HELP)
   .option("-v, --verbose", "Show detailed status information", false)
-  .action(async (options) => {
-    try {
-      await status(options);
-      process.exit(0);
-    } catch (error) {
-      process.exit(1);
-    }
-  });
+  .action(runCommand(status));
 
 program
   .command("list")
   .description("List deployment history")
-  .requiredOption("-p, --package <name>", "Package name (client|server)")
-  .requiredOption("-e, --env <environment>", "Environment (main|staging|prod)")
+  .requiredOption("-p, --package <name>", PACKAGE_HELP)
+  .requiredOption("-e, --env <environment>", ENVIRONMENT_HELP)
   .option("-l, --limit <number>", "Limit number of deployments shown", "10")
   .option("-v, --verbose", "Show detailed deployment information", false)
-  .action(async (options) => {
-    try {
-      await list(options);
-      process.exit(0);
-    } catch (error) {
-      process.exit(1);
-    }
-  });
+  .action(runCommand(list));
+
+const lockCommand = program
+  .command("lock")
+  .description("Inspect or break deployment locks");
+
+lockCommand
+  .command("status")
+  .description("Show who holds deploy locks")
+  .option("-p, --package <name>", PACKAGE_HELP)
+  .option("-e, --env <environment>", ENVIRONMENT_HELP)
+  .option("-v, --verbose", "Show detailed lock information", false)
+  .action(runCommand(lockStatus));
+
+lockCommand
+  .command("break")
+  .description("Remove a deploy lock")
+  .requiredOption("-p, --package <name>", PACKAGE_HELP)
+  .requiredOption("-e, --env <environment>", ENVIRONMENT_HELP)
+  .option("-f, --force", "Break the lock even if its owner is alive", false)
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(runCommand(lockBreak));
+
+program
+  .command("approve")
+  .description("Approve a deploy waiting for approval")
+  .argument("<id>", "Approval request ID")
+  .option("-v, --verbose", "Detailed logging", false)
+  .action((id, options, command) =>
+    runCommand((commandOptions) => approve(id, commandOptions))(
+      options,
+      command
+    )
+  );
+
+program
+  .command("reject")
+  .description("Reject a deploy waiting for approval")
+  .argument("<id>", "Approval request ID")
+  .option("--reason <text>", "Why the deploy is rejected")
+  .option("-v, --verbose", "Detailed logging", false)
+  .action((id, options, command) =>
+    runCommand((commandOptions) => reject(id, commandOptions))(options, command)
+  );
+
+program
+  .command("approvals")
+  .description("List deploys waiting for approval")
+  .option("--all", "Include decided, expired and cancelled requests", false)
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(runCommand(approvalList));
+
+program
+  .command("maintenance")
+  .description("Serve a maintenance page instead of an environment")
+  .argument("<action>", "on|off")
+  .requiredOption("-e, --env <environment>", ENVIRONMENT_HELP)
+  .option("-p, --package <name>", `${PACKAGE_HELP} (default: all packages)`)
+  .option("-m, --message <text>", "Message shown on the maintenance page")
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a held deploy lock instead of failing",
+    "0"
+  )
+  .option("-v, --verbose", "Detailed logging", false)
+  .action((action, options, command) =>
+    runCommand((commandOptions) => maintenance(action, commandOptions))(
+      options,
+      command
+    )
+  );
+
+const previewCommand = program
+  .command("preview")
+  .description("Manage per-pull-request preview environments (pr-<number>)");
+
+previewCommand
+  .command("up")
+  .description("Create or update the preview environment of a pull request")
+  .requiredOption("--pr <number>", "Pull request number")
+  .option(
+    "-a, --artifact <path>",
+    "Path or https:// / s3:// URL of a deployment artifact (.tar.gz), repeat to deploy packages together",
+    collect,
+    []
+  )
+  .option(
+    "-r, --run-id <id>",
+    "GitHub Actions run ID to download artifact from"
+  )
+  .option(
+    "-p, --package <name>",
+    `${PACKAGE_HELP} - required when using --run-id, repeat or comma-separate to deploy packages together`,
+    collect,
+    []
+  )
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a held deploy lock instead of failing",
+    "0"
+  )
+  .option(
+    "--timeout <seconds>",
+    "Cancel the deployment if it has not finished after this long"
+  )
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(
+    runCommand(
+      async (options) => {
+        if (options.artifact.length === 0 && !options.runId) {
+          throw invalidOption(
+            "Either --artifact or --run-id must be specified"
+          );
+        }
+
+        if (options.artifact.length > 0 && options.runId) {
+          throw invalidOption("Cannot specify both --artifact and --run-id");
+        }
+
+        if (options.runId && options.package.length === 0) {
+          throw invalidOption("--package is required when using --run-id");
+        }
+
+        return previewUp(options);
+      },
+      { cancellable: true }
+    )
+  );
+
+previewCommand
+  .command("down")
+  .description("Tear down the preview environment of a pull request")
+  .requiredOption("--pr <number>", "Pull request number")
+  .option(
+    "--lock-timeout <seconds>",
+    "Wait up to this long for a running preview deploy to finish",
+    "0"
+  )
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(runCommand(previewDown, { cancellable: true }));
+
+previewCommand
+  .command("reap")
+  .description("Tear down previews not deployed to within the maximum age")
+  .option(
+    "--max-age <hours>",
+    `Maximum age since the last deploy (default: ${PREVIEWS.maxAgeHours})`
+  )
+  .option("--dry-run", "Only list the previews that would be removed", false)
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(runCommand(previewReap));
+
+previewCommand
+  .command("list")
+  .description("List preview environments and their ports")
+  .option("-v, --verbose", "Detailed logging", false)
+  .action(runCommand(previewList));
+
+program
+  .command("config")
+  .description("Show the validated deploy configuration")
+  .action(
+    runCommand(async ({ json }) => {
+      const logger = new Logger(false, { stderr: json });
+      logger.print(`Source: ${DEPLOY_CONFIG_FILE || "built-in defaults"}`);
+      logger.print(JSON.stringify(DEPLOY_CONFIG, null, 2));
+      return { file: DEPLOY_CONFIG_FILE, config: DEPLOY_CONFIG };
+    })
+  );
+
+try {
+  await program.parseAsync();
+} catch (error) {
+  // Help and --version end up here too, with exit code 0
+  if (!error.code?.startsWith("commander.")) {
+    throw error;
+  }
 
-program.parse();
+  const exitCode = error.exitCode === 0 ? 0 : EXIT_CODES.validation;
+  if (jsonRequested && exitCode !== 0) {
+    const message =
+      error.code === "commander.help"
+        ? "No command given"
+        : error.message.replace(/^error: /, "");
+    printJson(
+      {
+        success: false,
+        error: serializeError(new ValidationError(message)),
+      },
+      exitCode
+    );
+  } else {
+    process.exit(exitCode);
+  }
+}
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+// Run by PM2 in place of a package while maintenance mode is on (see
+// utils/maintenance.js). Answers every request with a 503 maintenance page.
+// Uses only Node built-ins so it starts no matter what state releases are in.
+
+import { createServer } from "http";
+
+const port = Number(process.env.PORT);
+const message = process.env.MAINTENANCE_MESSAGE || "Down for maintenance";
+const retryAfter = process.env.MAINTENANCE_RETRY_AFTER || "300";
+
+const page = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Down for maintenance</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: grid; place-items: center; font-family: system-ui, sans-serif; background: #f5f5f5; color: #222; }
+  main { max-width: 32rem; padding: 2rem; text-align: center; }
+</style>
+</head>
+<body>
+<main>
+<h1>🚧 Down for maintenance</h1>
+<p>${escapeHtml(message)}</p>
+</main>
+</body>
+</html>
+`;
+
+createServer((request, response) => {
+  const wantsJson = (request.headers.accept || "").includes("application/json");
+
+  response.writeHead(503, {
+    "Content-Type": wantsJson ? "application/json" : "text/html; charset=utf-8",
+    "Retry-After": retryAfter,
+    "Cache-Control": "no-store",
+  });
+  response.end(
+    wantsJson ? JSON.stringify({ status: "maintenance", message }) : page
+  );
+}).listen(port, () => {
+  console.log(`Maintenance server listening on :${port}`);
+});
+
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+}
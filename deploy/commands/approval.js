@@ -0,0 +1,86 @@
+import { Logger } from "../utils/logger.js";
+import { decideApproval, listApprovals } from "../utils/approvals.js";
+import { getUserName } from "../utils/identity.js";
+
+const STATUS_EMOJIS = { pending: "⏸️ ", approved: "✅", rejected: "❌" };
+
+export async function approve(id, options) {
+  return decide(id, "approve", options);
+}
+
+export async function reject(id, options) {
+  return decide(id, "reject", options);
+}
+
+export async function approvalList(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+
+  try {
+    const approvals = await listApprovals({ pendingOnly: !options.all });
+
+    if (approvals.length === 0) {
+      logger.info(
+        options.all ? "No approval requests" : "No deploys waiting for approval"
+      );
+      return { approvals };
+    }
+
+    for (const approval of approvals) {
+      logger.print(
+        `${STATUS_EMOJIS[approval.status] || "⌛"} ${approval.id} [${approval.status.toUpperCase()}] ${approval.packages.join(
+          ", "
+        )} -> ${approval.environment} (${approval.commit.substring(0, 7)})`
+      );
+      logger.print(
+        `   Requested: ${new Date(approval.requestedAt).toLocaleString()}`
+      );
+
+      if (approval.decision) {
+        const { by, via, reason } = approval.decision;
+        logger.print(
+          `   Decided: ${approval.status} by ${by} via ${via}${
+            reason ? ` - ${reason}` : ""
+          }`
+        );
+      } else if (approval.status === "pending") {
+        logger.print(
+          `   Expires: ${new Date(approval.expiresAt).toLocaleString()}`
+        );
+      }
+    }
+
+    return { approvals };
+  } catch (error) {
+    logger.error(`Failed to list approvals: ${error.message}`);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
+}
+
+async function decide(id, decision, options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+
+  try {
+    const approval = await decideApproval(id, decision, {
+      by: getUserName(),
+      via: "cli",
+      reason: options.reason,
+    });
+
+    logger.success(
+      `Deploy ${id} ${approval.status}: ${approval.packages.join(", ")} -> ${
+        approval.environment
+      } (${approval.commit.substring(0, 7)})`
+    );
+
+    return { approval };
+  } catch (error) {
+    logger.error(`Failed to ${decision} deploy ${id}: ${error.message}`);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
+}
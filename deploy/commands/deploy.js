@@ -1,16 +1,15 @@
 import fs from "fs-extra";
-import { join } from "path";
+import { join, basename } from "path";
 import { Logger } from "../utils/logger.js";
 import { getDeploymentPaths, getReleasePath } from "../utils/paths.js";
 import {
   extractArtifact,
   readMetadata,
   updateSymlink,
-  execCommand,
+  readSymlinkTarget,
 } from "../utils/fileOps.js";
 import {
-  findAvailablePort,
-  startTestServer,
+  runIsolatedHealthCheck,
   healthCheck,
   getHealthCheckUrl,
   isCdnMode,
@@ -30,327 +29,577 @@ import {
   downloadArtifactFromRun,
   cleanupArtifactDownload,
 } from "../utils/artifactDownloader.js";
+import {
+  isRemoteArtifact,
+  downloadRemoteArtifact,
+} from "../utils/artifactSources.js";
 import { updateDeploymentStatus } from "../utils/deploymentStatus.js";
 import { createDeployment, isGitHubConfigured } from "../utils/githubClient.js";
 import { formatEnvironment } from "../utils/parseEnvironment.js";
 import { sendDiscordNotification } from "../utils/discordNotifications.js";
+import { revertCutover } from "../utils/rollback.js";
+import { acquireDeployLock } from "../utils/lock.js";
+import {
+  verifyArtifactIntegrity,
+  enforceSignaturePolicy,
+} from "../utils/integrity.js";
+import {
+  getServiceName,
+  startOrReloadService,
+  isServiceOnline,
+} from "../utils/pm2.js";
+import { isBlueGreen, getServicePort } from "../utils/colors.js";
+import { startIdleColor, switchTraffic } from "../utils/blueGreen.js";
+import { buildDeploymentPlan, printDeploymentPlan } from "../utils/plan.js";
+import { loadHooks, runHooks } from "../utils/hooks.js";
+import {
+  loadSmokeTests,
+  runSmokeTests,
+  summarizeSmokeTests,
+  describeSmokeFailures,
+} from "../utils/smokeTests.js";
+import { getWatchSettings, watchReleases } from "../utils/watch.js";
+import { verifyCdnFull } from "../utils/cdnVerify.js";
+import {
+  getPerfCheck,
+  runLoadProbe,
+  findRegressions,
+  describeProbe,
+} from "../utils/perfCheck.js";
+import { installDependencies, describeInstall } from "../utils/dependencies.js";
+import { assertNotInMaintenance } from "../utils/maintenance.js";
+import {
+  getActiveFreeze,
+  describeFreeze,
+  enforceFreeze,
+} from "../utils/freezes.js";
+import { requestApproval, waitForApproval } from "../utils/approvals.js";
+import { createDeploySignal, abortable, delay } from "../utils/cancellation.js";
+import {
+  CancelledError,
+  HealthCheckError,
+  Pm2Error,
+  ValidationError,
+} from "../utils/errors.js";
+import { CANCELLATION } from "../config.js";
 
+/**
+ * Deploys one package, or several packages built from the same commit as a
+ * linked group. Every package is staged and health-checked in isolation
+ * before any `current` symlink is switched, and a failure after cutover
+ * reverts all of them.
+ */
 export async function deploy(options) {
-  const logger = new Logger(options.verbose);
-  let releasePath = null;
-  let downloadTempDir = null;
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const targets = [];
+  const downloadTempDirs = [];
+  const releaseLocks = [];
   const triggerSource = options.triggerSource || "manual";
 
+  // Ctrl+C (options.signal) and --timeout abort the running step; the
+  // deploy then takes the regular failure path
+  const cancellation = createDeploySignal({
+    signal: options.signal,
+    timeout: options.timeout,
+  });
+  const { signal } = cancellation;
+
   try {
     logger.info("Starting deployment process");
 
-    let artifactPath = options.artifact;
-    let metadata;
-
-    // Handle GitHub Actions run ID mode
-    if (options.runId) {
-      logger.step("Downloading artifact from GitHub Actions");
+    const sources = getArtifactSources(options);
 
-      // Update deployment status if deployment ID is provided
-      if (options.deploymentId) {
-        await updateDeploymentStatus(
-          options.deploymentId,
-          "in_progress",
-          `Downloading artifact for ${options.package} deployment`
-        );
-      }
+    if (sources.length > 1 && options.deploymentId) {
+      throw new ValidationError(
+        "--deployment-id can only be used when deploying a single package"
+      );
+    }
 
-      const downloadResult = await downloadArtifactFromRun(
-        options.runId,
-        options.package
+    // Step 1: Download (if needed), verify and read metadata of every artifact
+    for (const source of sources) {
+      targets.push(
+        await resolveTarget(source, options, downloadTempDirs, logger, signal)
       );
+    }
 
-      artifactPath = downloadResult.artifactPath;
-      downloadTempDir = downloadResult.tempDir;
+    validateGroup(targets);
 
-      logger.info(`📦 Downloaded artifact: ${artifactPath}`);
-    }
+    const { environment, commit } = targets[0].metadata;
+    const isGroup = targets.length > 1;
 
-    // Step 1: Validate artifact and extract metadata
-    logger.step("Validating artifact and extracting metadata");
-    metadata = await readMetadata(artifactPath);
-    const { cdnAssets: _, ...metadataToLog } = metadata;
-    logger.debug(`Metadata: ${JSON.stringify(metadataToLog, null, 2)}`);
+    if (isGroup) {
+      logger.info(
+        `📦 Deploying ${targets
+          .map((target) => target.packageName)
+          .join(" + ")} to ${environment} as one group`
+      );
+    }
 
-    const { environment, package: packageName, commit } = metadata;
+    // Freeze windows block real deploys unless explicitly overridden
+    const freezeOverride = options.dryRun
+      ? null
+      : enforceFreeze(environment, options);
 
-    // Send Discord notification for deployment start
-    await sendDiscordNotification("deploying", {
-      packageName,
-      environment,
-      commit,
-      deploymentId: options.deploymentId,
-      workflowRunId: options.runId,
-      isLocalArtifact: !options.runId,
-      triggerSource,
-    });
+    if (freezeOverride) {
+      logger.warn(
+        `🧊 Overriding freeze "${freezeOverride.freeze}": ${freezeOverride.reason}`
+      );
+      await sendDiscordNotification("freeze_override", {
+        packageName: targets.map((target) => target.packageName).join(", "),
+        environment,
+        commit,
+        freezeOverride,
+        triggerSource,
+      });
+    }
 
-    // Create GitHub deployment if not provided and GitHub is configured
-    if (!options.deploymentId && isGitHubConfigured()) {
-      try {
-        logger.step("Creating GitHub deployment");
+    for (const target of targets) {
+      // Send Discord notification for deployment start
+      await sendDiscordNotification("deploying", {
+        packageName: target.packageName,
+        environment,
+        commit,
+        deploymentId: target.deploymentId,
+        workflowRunId: options.runId,
+        isLocalArtifact: !options.runId,
+        triggerSource,
+      });
 
-        const deploymentEnvironment = formatEnvironment(
-          environment,
-          packageName
+      // Create GitHub deployment if not provided and GitHub is configured
+      if (!target.deploymentId && isGitHubConfigured()) {
+        target.deploymentId = await createGitHubDeployment(
+          target,
+          options,
+          logger
         );
-        const deployment = await createDeployment({
-          environment: deploymentEnvironment,
-          ref: commit,
-          skipWebhook: true,
-          workflowRunId: options.runId,
-        });
-
-        options.deploymentId = deployment.id;
+      }
 
+      // Log CDN mode information
+      if (isCdnMode(target.metadata)) {
+        const assetCount = Object.values(target.metadata.cdnAssets).flat()
+          .length;
         logger.info(
-          `📋 Created GitHub deployment: ${deployment.id} for ${deploymentEnvironment}`
+          `CDN Mode: ${assetCount} assets served from ${target.metadata.assetPrefix}`
         );
-      } catch (error) {
-        logger.warn(`⚠️  Failed to create GitHub deployment: ${error.message}`);
-        logger.info("Continuing with deployment without GitHub status updates");
+        target.cdnVerify = options.cdnVerify || "sample";
       }
     }
 
-    // Log CDN mode information
-    if (isCdnMode(metadata)) {
-      const assetCount = Object.values(metadata.cdnAssets).flat().length;
-      logger.info(
-        `CDN Mode: ${assetCount} assets served from ${metadata.assetPrefix}`
-      );
+    // Keep the single-package contract of writing back the deployment ID
+    if (!isGroup) {
+      options.deploymentId = targets[0].deploymentId;
     }
 
     if (options.dryRun) {
-      logger.info(
-        `Dry run completed successfully for ${packageName} -> ${environment}`
-      );
-      return;
-    }
-
-    // Step 2: Prepare release directory
-    const deploymentTimestamp =
-      new Date().toISOString().replace(/[:.]/g, "-").split("T")[0] +
-      "-" +
-      new Date()
-        .toISOString()
-        .replace(/[:.]/g, "-")
-        .split("T")[1]
-        .split("-")[0];
-    releasePath = getReleasePath(
-      environment,
-      packageName,
-      commit,
-      deploymentTimestamp
-    );
-    const paths = getDeploymentPaths(environment, packageName);
-
-    logger.step(`Preparing release directory: ${releasePath}`);
-    await fs.ensureDir(releasePath);
-
-    // Step 3: Extract artifact to release directory
-    logger.step("Extracting artifact to release directory");
-    await extractArtifact(artifactPath, releasePath);
-
-    // Step 4: Copy environment file
-    logger.step("Copying environment file");
-    await copyEnvironmentFile(releasePath, packageName, environment, logger);
+      logger.step("Building deployment plan");
+      const deploymentTimestamp = getDeploymentTimestamp();
+      const plans = [];
+      for (const target of targets) {
+        plans.push(await buildDeploymentPlan(target, deploymentTimestamp));
+      }
 
-    // Step 5: Manage CDN environment variables
-    logger.step("Configuring CDN environment");
-    const packagePath = join(releasePath, "packages", packageName);
-    await manageCdnEnvironment(packagePath, metadata, logger);
+      // With --json the CLI prints the returned plans instead
+      if (!options.json) {
+        plans.forEach((plan) => printDeploymentPlan(plan, logger));
+        logger.print();
+      }
 
-    // Step 6: Install production dependencies
-    logger.step("Installing production dependencies");
-    await execCommand(
-      `cd "${releasePath}" && pnpm install --prod --frozen-lockfile`
-    );
+      const freeze = getActiveFreeze(environment);
+      if (freeze) {
+        logger.warn(
+          `${describeFreeze(environment, freeze)}; deploying needs --override-freeze`
+        );
+      }
 
-    // Step 7: Isolated health check
-    logger.step("Running isolated health check");
-    await runHealthCheck(releasePath, packageName, environment, logger);
+      if (options.requireApproval) {
+        logger.info("Cutover would wait for approval after the health check");
+      }
 
-    // Step 8: Atomic deployment
-    logger.step("Performing atomic deployment");
+      const watchSettings = getWatchSettings(environment, options.watch);
+      if (watchSettings) {
+        logger.info(
+          `The release would be watched for ${watchSettings.duration}s after cutover`
+        );
+      }
 
-    // Update deployment status if deployment ID is provided
-    if (options.deploymentId) {
-      await updateDeploymentStatus(
-        options.deploymentId,
-        "in_progress",
-        `Deploying ${packageName} to ${environment}`
+      logger.info(
+        `Dry run completed successfully for ${targets
+          .map((target) => target.packageName)
+          .join(", ")} -> ${environment}`
       );
+      return {
+        success: true,
+        dryRun: true,
+        environment,
+        commit,
+        plans,
+        freeze,
+        steps: logger.getStepTimings(),
+      };
     }
 
-    await updateSymlink(releasePath, paths.current);
-
-    // Step 9: Start or reload PM2 service
-    logger.step("Starting/reloading PM2 service");
-    const serviceName = `tobeit69-${packageName}-${environment}`;
-
-    try {
-      // Try to reload first (if service exists)
-      await execCommand(`pm2 reload "${serviceName}"`);
-      logger.debug(`Reloaded existing PM2 service: ${serviceName}`);
-    } catch (error) {
-      // Service doesn't exist, start it with PM2 config
-      logger.debug(`Service ${serviceName} not found, starting new instance`);
-      await execCommand(
-        `pm2 start "${paths.pm2Config}" --only "${serviceName}"`
+    // Serialize against other deploys, rollbacks and cleanups of these
+    // packages. Locks are taken in a stable order to avoid lock-order cycles.
+    for (const target of [...targets].sort((a, b) =>
+      a.packageName.localeCompare(b.packageName)
+    )) {
+      releaseLocks.push(
+        await acquireDeployLock(environment, target.packageName, {
+          triggerSource,
+          operation: "deploy",
+          waitTimeout: options.lockTimeout,
+          logger,
+          signal,
+        })
       );
-      logger.debug(`Started new PM2 service: ${serviceName}`);
     }
 
-    // Verify PM2 service is healthy
-    await new Promise((resolve) => setTimeout(resolve, 3000)); // Wait for PM2 to start/reload
-    const { stdout } = await execCommand(`pm2 describe "${serviceName}"`);
-    if (!stdout.includes("online")) {
-      throw new Error(`PM2 service ${serviceName} failed to start`);
+    for (const target of targets) {
+      await assertNotInMaintenance(environment, target.packageName);
+    }
+
+    // Step 2-7: Stage every release and health-check it in isolation
+    const deploymentTimestamp = getDeploymentTimestamp();
+    for (const target of targets) {
+      await stageRelease(target, deploymentTimestamp, logger, signal);
     }
 
-    // Step 10: Final health check on production ports
-    logger.step("Running final health check on production ports");
-    const prodUrl = getHealthCheckUrl(environment, packageName);
-    const isHealthy = await healthCheck(prodUrl);
+    // Approval mode: park the staged releases until someone decides
+    const approval = options.requireApproval
+      ? await awaitApproval(targets, options, logger, signal)
+      : null;
 
-    if (!isHealthy) {
-      throw new Error(`Health check failed for ${prodUrl}`);
+    // Last chance to abort before anything user-facing changes
+    for (const target of targets) {
+      await runTargetHooks("preCutover", target, logger, signal);
     }
+    signal.throwIfAborted();
 
-    // Step 11: CDN asset health check (if in CDN mode)
-    if (isCdnMode(metadata)) {
-      logger.step("Verifying CDN asset accessibility");
-      const cdnHealthy = await checkCdnAssets(metadata, logger);
+    // Step 8: Atomic deployment
+    logger.step("Performing atomic deployment");
 
-      if (!cdnHealthy) {
-        throw new Error("CDN asset health check failed");
+    for (const target of targets) {
+      // Update deployment status if deployment ID is provided
+      if (target.deploymentId) {
+        await updateDeploymentStatus(
+          target.deploymentId,
+          "in_progress",
+          `Deploying ${target.packageName} to ${environment}`
+        );
       }
     }
 
-    // Step 12: Public URL health check
-    logger.step("Running public URL health check");
+    for (const target of targets) {
+      // Remember what `current` pointed at so a failed cutover can be reverted
+      target.previousReleasePath = await readSymlinkTarget(
+        target.paths.current
+      );
+      target.cutoverStarted = true;
 
-    // Wait for a few seconds to ensure the deployment is fully ready
-    await new Promise((resolve) => setTimeout(resolve, 5000));
+      if (isBlueGreen(environment)) {
+        // Bring the release up on the idle colour; traffic stays on the active one
+        Object.assign(
+          target,
+          await startIdleColor(
+            environment,
+            target.packageName,
+            target.releasePath,
+            commit,
+            logger
+          )
+        );
+      } else {
+        await updateSymlink(target.releasePath, target.paths.current);
+      }
+    }
 
-    const isPublicHealthy = await publicHealthCheck(
-      environment,
-      packageName,
-      logger
-    );
+    // Step 9: Start or reload PM2 services (blue/green: flip proxy traffic)
+    logger.step("Starting/reloading PM2 service");
+    for (const target of targets) {
+      if (target.color) {
+        await switchTraffic(
+          environment,
+          target.packageName,
+          target.color,
+          logger
+        );
+        await updateSymlink(target.releasePath, target.paths.current);
+      } else {
+        await startOrReloadService(
+          target.serviceName,
+          target.paths.pm2Config,
+          logger
+        );
+      }
+    }
 
-    if (!isPublicHealthy) {
-      throw new Error(
-        "Public URL health check failed - deployment will be rolled back"
-      );
+    // Step 10-12: Verify every package on production ports
+    for (const target of targets) {
+      await verifyActivatedRelease(target, logger, signal);
+    }
+
+    // A failing post-cutover hook reverts like any other verification failure
+    for (const target of targets) {
+      await runTargetHooks("postCutover", target, logger, signal);
     }
 
+    // Watch window: keep an eye on the live release, a breach reverts it
+    const watchSettings = getWatchSettings(environment, options.watch);
+    const watch = watchSettings
+      ? await watchActivatedReleases(targets, watchSettings, logger, signal)
+      : null;
+
     // Step 13: Update version tracking
     logger.step("Updating version tracking");
     const versionInfo = `${deploymentTimestamp}-${commit.substring(0, 7)}`;
-    await updateVersionTracking(environment, packageName, {
-      version: versionInfo,
-      commit,
-      timestamp: new Date().toISOString(),
-      releasePath,
-    });
+    const group = isGroup
+      ? {
+          id: versionInfo,
+          packages: targets.map((target) => target.packageName),
+        }
+      : undefined;
+
+    for (const target of targets) {
+      await updateVersionTracking(environment, target.packageName, {
+        version: versionInfo,
+        commit,
+        timestamp: new Date().toISOString(),
+        releasePath: target.releasePath,
+        group,
+        integrity: target.integrity,
+        promotedFrom: target.promotedFrom,
+        install: target.install,
+        freezeOverride,
+        approval,
+        watch,
+        perfCheck: target.perfCheck,
+      });
+    }
 
     // Step 14: Cleanup old deployments
-    // await cleanupDeployments(environment, packageName, logger);
+    // await cleanupDeployments(environment, packageName, logger, {
+    //   locked: true,
+    // });
 
-    // Update deployment status to success if deployment ID is provided
-    if (options.deploymentId) {
-      await updateDeploymentStatus(
-        options.deploymentId,
-        "success",
-        `Successfully deployed ${packageName} to ${environment}`
-      );
+    for (const target of targets) {
+      // Update deployment status to success if deployment ID is provided
+      if (target.deploymentId) {
+        await updateDeploymentStatus(
+          target.deploymentId,
+          "success",
+          `Successfully deployed ${target.packageName} to ${environment}${
+            target.smokeResults.length > 0
+              ? ` (smoke tests: ${summarizeSmokeTests(target.smokeResults)})`
+              : ""
+          }`
+        );
+      }
+
+      // Send Discord notification for successful deployment
+      await sendDiscordNotification("success", {
+        packageName: target.packageName,
+        environment,
+        commit,
+        deploymentId: target.deploymentId,
+        versionInfo,
+        smokeTests: target.smokeResults,
+        workflowRunId: options.runId,
+        isLocalArtifact: !options.runId,
+        triggerSource,
+      });
     }
 
-    // Send Discord notification for successful deployment
-    await sendDiscordNotification("success", {
-      packageName,
-      environment,
-      commit,
-      deploymentId: options.deploymentId,
-      versionInfo,
-      workflowRunId: options.runId,
-      isLocalArtifact: !options.runId,
-      triggerSource,
-    });
+    const packageNames = targets.map((target) => target.packageName);
 
     logger.success(`✨ Deployment completed successfully!`);
-    logger.info(`Package: ${packageName}`);
+    logger.info(`Package: ${packageNames.join(", ")}`);
     logger.info(`Environment: ${environment}`);
     logger.info(`Commit: ${commit}`);
     logger.info(`Version: ${versionInfo}`);
-    logger.info(`Release: ${releasePath}`);
+    for (const target of targets) {
+      logger.info(`Release: ${target.releasePath}`);
+      logger.info(`Dependencies: ${describeInstall(target.install)}`);
+      if (target.smokeResults.length > 0) {
+        logger.info(
+          `Smoke tests: ${summarizeSmokeTests(target.smokeResults)} passed`
+        );
+      }
+    }
 
     // Return success result instead of exiting
-    return {
+    const result = {
       success: true,
-      packageName,
+      packageName: packageNames.join(","),
       environment,
       commit,
       versionInfo,
-      releasePath,
+      releasePath: targets[0].releasePath,
+      install: targets[0].install,
+      steps: logger.getStepTimings(),
     };
+
+    if (freezeOverride) {
+      result.freezeOverride = freezeOverride;
+    }
+
+    if (approval) {
+      result.approval = approval;
+    }
+
+    if (watch) {
+      result.watch = watch;
+    }
+
+    if (targets[0].cdnVerification) {
+      result.cdnVerification = targets[0].cdnVerification;
+    }
+
+    if (targets[0].smokeResults.length > 0) {
+      result.smokeTests = targets[0].smokeResults;
+    }
+
+    if (targets[0].perfCheck) {
+      result.perfCheck = targets[0].perfCheck;
+    }
+
+    if (isGroup) {
+      result.group = group;
+      result.deployments = targets.map((target) => ({
+        packageName: target.packageName,
+        releasePath: target.releasePath,
+        deploymentId: target.deploymentId,
+        install: target.install,
+        smokeTests: target.smokeResults,
+        perfCheck: target.perfCheck,
+      }));
+    }
+
+    return result;
   } catch (error) {
-    logger.error(`Deployment failed: ${error.message}`);
+    const cancelled = error instanceof CancelledError;
+    logger.error(
+      cancelled ? error.message : `Deployment failed: ${error.message}`
+    );
     if (options.verbose) {
       logger.error(error.stack);
     }
 
-    // Update deployment status to failure if deployment ID is provided
-    if (options.deploymentId) {
-      await updateDeploymentStatus(
-        options.deploymentId,
-        "failure",
-        `Deployment failed: ${error.message}`
-      );
+    // Restore the previous release of every package whose `current` was switched
+    for (const target of targets) {
+      if (target.cutoverStarted && target.hooks) {
+        try {
+          await runTargetHooks("onRollback", target, logger);
+        } catch (hookError) {
+          // Never let a hook stand in the way of restoring the previous release
+          logger.warn(hookError.message);
+        }
+      }
+
+      if (target.cutoverStarted && target.previousReleasePath) {
+        target.revert = await revertCutover(
+          target.metadata.environment,
+          target.packageName,
+          target.previousReleasePath,
+          target.metadata.commit,
+          logger,
+          {
+            color: target.previousColor,
+            serviceName: target.previousServiceName,
+          },
+          { watch: error.watch }
+        );
+      } else if (target.cutoverStarted) {
+        logger.warn(`No previous ${target.packageName} release to revert to`);
+      }
+    }
+
+    if (targets.length === 1) {
+      error.revert = targets[0].revert;
+    } else if (targets.some((target) => target.revert)) {
+      error.reverts = targets
+        .filter((target) => target.revert)
+        .map((target) => ({
+          packageName: target.packageName,
+          ...target.revert,
+        }));
+    }
+
+    if (targets.length === 1 && targets[0].smokeResults?.length > 0) {
+      error.smokeTests = targets[0].smokeResults;
     }
 
-    // Send Discord notification for failed deployment
-    // Extract metadata if available for better error context
-    let errorPackageName, errorEnvironment, errorCommit;
-    try {
-      if (metadata) {
-        ({
-          environment: errorEnvironment,
-          package: errorPackageName,
-          commit: errorCommit,
-        } = metadata);
+    if (targets.length === 1 && targets[0].cdnVerification) {
+      error.cdnVerification = targets[0].cdnVerification;
+    }
+
+    if (targets.length === 1 && targets[0].perfCheck) {
+      error.perfCheck = targets[0].perfCheck;
+    }
+
+    // A failure before any metadata was read still gets one notification
+    const failedTargets =
+      targets.length > 0
+        ? targets
+        : [{ deploymentId: options.deploymentId, revert: null }];
+
+    for (const target of failedTargets) {
+      // Update deployment status to failure if deployment ID is provided
+      if (target.deploymentId) {
+        await updateDeploymentStatus(
+          target.deploymentId,
+          cancelled ? "error" : "failure",
+          cancelled
+            ? error.message
+            : `${describeFailure(target.revert)}: ${error.message}`
+        );
       }
-    } catch (metadataError) {
-      // Ignore metadata extraction errors in error handler
+
+      // Send Discord notification for failed deployment
+      await sendDiscordNotification(cancelled ? "cancelled" : "failure", {
+        packageName: target.metadata?.package,
+        environment: target.metadata?.environment,
+        commit: target.metadata?.commit,
+        deploymentId: target.deploymentId,
+        error: error.message,
+        revert: target.revert,
+        smokeTests: target.smokeResults,
+        workflowRunId: options.runId,
+        isLocalArtifact: !options.runId,
+        triggerSource,
+      });
     }
 
-    await sendDiscordNotification("failure", {
-      packageName: errorPackageName,
-      environment: errorEnvironment,
-      commit: errorCommit,
-      deploymentId: options.deploymentId,
-      error: error.message,
-      workflowRunId: options.runId,
-      isLocalArtifact: !options.runId,
-      triggerSource,
-    });
+    // Cleanup failed releases, unless `current` still points at them
+    for (const target of targets) {
+      if (!target.releasePath) {
+        continue;
+      }
 
-    // Cleanup failed deployment
-    if (releasePath) {
-      await cleanupFailedDeployment(releasePath, logger);
+      const currentTarget = await readSymlinkTarget(target.paths.current);
+      if (currentTarget === target.releasePath) {
+        logger.warn(
+          `Keeping failed release because it is still active: ${target.releasePath}`
+        );
+      } else if (cancelled && CANCELLATION.keepPartialRelease) {
+        logger.warn(`Keeping cancelled release: ${target.releasePath}`);
+      } else {
+        await cleanupFailedDeployment(target.releasePath, logger);
+      }
     }
 
+    error.steps = logger.getStepTimings();
+
     // Re-throw error instead of exiting
     throw error;
   } finally {
-    // Cleanup downloaded artifact if it was downloaded
-    if (downloadTempDir) {
+    cancellation.dispose();
+
+    for (const releaseLock of releaseLocks) {
+      await releaseLock();
+    }
+
+    // Cleanup downloaded artifacts if they were downloaded
+    for (const downloadTempDir of downloadTempDirs) {
       try {
         await cleanupArtifactDownload(downloadTempDir);
         logger.debug(`🧹 Cleaned up downloaded artifact: ${downloadTempDir}`);
@@ -363,65 +612,657 @@ export async function deploy(options) {
   }
 }
 
-async function runHealthCheck(releasePath, packageName, environment, logger) {
-  const packagePath = join(releasePath, "packages", packageName);
+/**
+ * Normalizes CLI/webhook options into one source per package: a local
+ * artifact path, a GitHub Actions run ID + package name, or a release being
+ * promoted from another environment
+ */
+function getArtifactSources(options) {
+  if (options.promotion) {
+    return [options.promotion];
+  }
 
-  if (!(await fs.pathExists(packagePath))) {
-    throw new Error(`Package path not found: ${packagePath}`);
+  if (options.runId) {
+    const packageNames = [options.package]
+      .flat()
+      .filter(Boolean)
+      .flatMap((name) => name.split(","))
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    return packageNames.map((packageName) => ({
+      runId: options.runId,
+      packageName,
+    }));
+  }
+
+  return [options.artifact]
+    .flat()
+    .filter(Boolean)
+    .map((artifactPath) => ({ artifactPath }));
+}
+
+async function resolveTarget(
+  source,
+  options,
+  downloadTempDirs,
+  logger,
+  signal
+) {
+  if (source.promotedFrom) {
+    return resolvePromotionTarget(source, options);
+  }
+
+  let artifactPath = source.artifactPath;
+
+  // Handle GitHub Actions run ID mode
+  if (source.runId) {
+    logger.step(
+      `Downloading ${source.packageName} artifact from GitHub Actions`
+    );
+
+    // Update deployment status if deployment ID is provided
+    if (options.deploymentId) {
+      await updateDeploymentStatus(
+        options.deploymentId,
+        "in_progress",
+        `Downloading artifact for ${source.packageName} deployment`
+      );
+    }
+
+    const downloadResult = await abortable(
+      downloadArtifactFromRun(source.runId, source.packageName),
+      signal
+    );
+
+    artifactPath = downloadResult.artifactPath;
+    downloadTempDirs.push(downloadResult.tempDir);
+
+    logger.info(`📦 Downloaded artifact: ${artifactPath}`);
+  } else if (isRemoteArtifact(artifactPath)) {
+    logger.step(`Downloading artifact from ${artifactPath}`);
+
+    const downloadResult = await downloadRemoteArtifact(
+      artifactPath,
+      logger,
+      signal
+    );
+
+    artifactPath = downloadResult.artifactPath;
+    downloadTempDirs.push(downloadResult.tempDir);
+
+    logger.info(`📦 Downloaded artifact: ${artifactPath}`);
+  }
+
+  const target = {
+    artifactPath,
+    deploymentId: options.deploymentId,
+  };
+
+  // Verify artifact integrity, then extract metadata
+  logger.step("Verifying artifact integrity");
+  const integrity = await verifyArtifactIntegrity(artifactPath, logger);
+
+  logger.step("Validating artifact and extracting metadata");
+  const artifactMetadata = await readMetadata(artifactPath);
+  const { cdnAssets: _, ...metadataToLog } = artifactMetadata;
+  logger.debug(`Metadata: ${JSON.stringify(metadataToLog, null, 2)}`);
+
+  // Preview deploys install a build into an environment other than the one
+  // it was built for; extraction still checks against the artifact's own
+  const metadata = options.environment
+    ? { ...artifactMetadata, environment: options.environment }
+    : artifactMetadata;
+
+  target.artifactMetadata = artifactMetadata;
+  target.metadata = metadata;
+  target.integrity = integrity;
+  target.packageName = metadata.package;
+  target.paths = getDeploymentPaths(metadata.environment, metadata.package);
+  target.serviceName = getServiceName(metadata.environment, metadata.package);
+
+  enforceSignaturePolicy(integrity, metadata.environment);
+
+  if (source.packageName && source.packageName !== metadata.package) {
+    throw new ValidationError(
+      `Artifact for ${source.packageName} contains package ${metadata.package}`
+    );
+  }
+
+  return target;
+}
+
+/**
+ * A promoted release was verified when it was first deployed; the signature
+ * policy of the target environment is checked against that recorded result
+ */
+function resolvePromotionTarget(source, options) {
+  const { metadata } = source;
+  const integrity = source.integrity || {
+    checksum: "missing",
+    signature: "missing",
+  };
+
+  enforceSignaturePolicy(integrity, metadata.environment);
+
+  return {
+    sourceReleasePath: source.releasePath,
+    promotedFrom: source.promotedFrom,
+    onCopied: source.onCopied,
+    deploymentId: options.deploymentId,
+    metadata,
+    integrity,
+    packageName: metadata.package,
+    paths: getDeploymentPaths(metadata.environment, metadata.package),
+    serviceName: getServiceName(metadata.environment, metadata.package),
+  };
+}
+
+function validateGroup(targets) {
+  if (targets.length === 0) {
+    throw new ValidationError("No artifact to deploy");
+  }
+
+  const [first, ...rest] = targets;
+  const seenPackages = new Set([first.packageName]);
+
+  for (const target of rest) {
+    if (seenPackages.has(target.packageName)) {
+      throw new ValidationError(
+        `Package ${target.packageName} appears more than once in the deployment`
+      );
+    }
+    seenPackages.add(target.packageName);
+
+    if (target.metadata.environment !== first.metadata.environment) {
+      throw new ValidationError(
+        `All packages must target the same environment: ${first.packageName} is ${first.metadata.environment}, ${target.packageName} is ${target.metadata.environment}`
+      );
+    }
+
+    if (target.metadata.commit !== first.metadata.commit) {
+      throw new ValidationError(
+        `All packages must be built from the same commit: ${first.packageName} is ${first.metadata.commit}, ${target.packageName} is ${target.metadata.commit}`
+      );
+    }
   }
+}
 
-  // Find available port for health check
-  const testPort = await findAvailablePort();
-  logger.debug(`Using port ${testPort} for health check`);
+async function createGitHubDeployment(target, options, logger) {
+  const { environment, commit } = target.metadata;
 
-  let testServer;
   try {
-    // Start test server
-    testServer = await startTestServer(packagePath, testPort, {
-      NODE_ENV: "production",
+    logger.step("Creating GitHub deployment");
+
+    const deploymentEnvironment = formatEnvironment(
+      environment,
+      target.packageName
+    );
+    const deployment = await createDeployment({
+      environment: deploymentEnvironment,
+      ref: commit,
+      skipWebhook: true,
+      workflowRunId: options.runId,
     });
-    logger.debug("Test server started successfully");
 
-    // Wait a moment for server to fully initialize
-    await new Promise((resolve) => setTimeout(resolve, 2000));
+    logger.info(
+      `📋 Created GitHub deployment: ${deployment.id} for ${deploymentEnvironment}`
+    );
 
-    // Perform health check
-    const healthUrl = getHealthCheckUrl(environment, packageName, testPort);
-    const isHealthy = await healthCheck(healthUrl);
+    return deployment.id;
+  } catch (error) {
+    logger.warn(`⚠️  Failed to create GitHub deployment: ${error.message}`);
+    logger.info("Continuing with deployment without GitHub status updates");
+    return undefined;
+  }
+}
 
-    if (!isHealthy) {
-      throw new Error(`Health check failed for ${healthUrl}`);
-    }
+function getDeploymentTimestamp() {
+  return (
+    new Date().toISOString().replace(/[:.]/g, "-").split("T")[0] +
+    "-" +
+    new Date().toISOString().replace(/[:.]/g, "-").split("T")[1].split("-")[0]
+  );
+}
 
-    logger.debug("Health check passed");
-  } finally {
-    if (testServer) {
-      // Wait for the process to actually terminate
-      const promise = new Promise((resolve) => {
-        // Force kill if it doesn't exit within 10 seconds
-        let forceTimeout = setTimeout(() => {
-          if (!testServer.killed) {
-            try {
-              process.kill(-testServer.pid, "SIGKILL");
-            } catch {}
-            logger.debug("Test server force killed");
-          }
-          resolve();
-        }, 10_000);
-        testServer.on("exit", () => {
-          logger.debug("Test server terminated");
-          clearTimeout(forceTimeout);
-          resolve();
-        });
+/**
+ * Extracts, configures and installs a release, then health-checks it on a
+ * spare port. Nothing user-facing changes until cutover.
+ */
+async function stageRelease(target, deploymentTimestamp, logger, signal) {
+  const { environment, package: packageName, commit } = target.metadata;
+
+  // Step 2: Prepare release directory
+  target.releasePath = getReleasePath(
+    environment,
+    packageName,
+    commit,
+    deploymentTimestamp
+  );
+  const { releasePath } = target;
+
+  logger.step(`Preparing release directory: ${releasePath}`);
+  await fs.ensureDir(releasePath);
+
+  // Step 3: Extract artifact to release directory
+  if (target.sourceReleasePath) {
+    logger.step(`Copying release from ${target.promotedFrom.environment}`);
+    await copyRelease(target.sourceReleasePath, releasePath);
+    await target.onCopied?.();
+    await fs.writeJson(join(releasePath, "metadata.json"), target.metadata, {
+      spaces: 2,
+    });
+  } else {
+    logger.step("Extracting artifact to release directory");
+    await extractArtifact(
+      target.artifactPath,
+      releasePath,
+      target.artifactMetadata
+    );
+
+    if (target.metadata !== target.artifactMetadata) {
+      await fs.writeJson(join(releasePath, "metadata.json"), target.metadata, {
+        spaces: 2,
       });
+    }
+  }
+  signal.throwIfAborted();
+
+  // Step 4: Copy environment file
+  logger.step("Copying environment file");
+  await copyEnvironmentFile(releasePath, packageName, environment, logger);
+
+  // Step 5: Manage CDN environment variables
+  logger.step("Configuring CDN environment");
+  const packagePath = join(releasePath, "packages", packageName);
+  await manageCdnEnvironment(packagePath, target.metadata, logger);
+
+  // Step 6: Install production dependencies
+  logger.step("Installing production dependencies");
+  target.install = await installDependencies(
+    releasePath,
+    environment,
+    packageName,
+    logger,
+    signal
+  );
+  logger.info(`📦 Dependencies: ${describeInstall(target.install)}`);
+
+  target.hooks = await loadHooks(releasePath, target.metadata);
+  target.smokeTests = loadSmokeTests(target.metadata);
+  target.smokeResults = [];
+  await runTargetHooks("preHealthcheck", target, logger, signal);
+
+  // Step 7: Isolated health check
+  logger.step("Running isolated health check");
+  await runHealthCheck(target, logger, signal);
+}
+
+/**
+ * Records a pending approval request for the staged releases, announces it
+ * and waits for `deploy approve`/`deploy reject` or the webhook server's
+ * approval endpoint. Returns the approval to keep in version history.
+ */
+async function awaitApproval(targets, options, logger, signal) {
+  const { environment, commit } = targets[0].metadata;
+  const packageNames = targets.map((target) => target.packageName);
+
+  logger.step("Waiting for approval");
+  const request = await requestApproval({
+    environment,
+    commit,
+    packages: packageNames,
+    releasePaths: targets.map((target) => target.releasePath),
+    triggerSource: options.triggerSource || "manual",
+  });
+
+  logger.info(
+    `⏸️  Deploy ${request.id} is waiting for approval until ${new Date(
+      request.expiresAt
+    ).toLocaleString()}`
+  );
+  logger.info(
+    `Run "deploy approve ${request.id}" or "deploy reject ${request.id}"`
+  );
+
+  for (const target of targets) {
+    if (target.deploymentId) {
+      await updateDeploymentStatus(
+        target.deploymentId,
+        "pending",
+        `Waiting for approval: deploy approve ${request.id}`
+      );
+    }
+  }
+
+  await sendDiscordNotification("approval_requested", {
+    packageName: packageNames.join(", "),
+    environment,
+    commit,
+    approval: request,
+    workflowRunId: options.runId,
+    isLocalArtifact: !options.runId,
+    triggerSource: options.triggerSource,
+  });
+
+  const approved = await waitForApproval(request, { logger, signal });
+  logger.info(
+    `👍 Deploy ${approved.id} approved by ${approved.decision.by} (${approved.decision.via})`
+  );
+
+  return { id: approved.id, ...approved.decision };
+}
+
+function runTargetHooks(phase, target, logger, signal = null) {
+  return runHooks(
+    phase,
+    target.hooks,
+    {
+      releasePath: target.releasePath,
+      packageName: target.packageName,
+      environment: target.metadata.environment,
+      commit: target.metadata.commit,
+      signal,
+    },
+    logger
+  );
+}
+
+/**
+ * Copies a release without its installed dependencies or environment files,
+ * which are recreated for the target environment
+ */
+async function copyRelease(sourceReleasePath, releasePath) {
+  await fs.copy(sourceReleasePath, releasePath, {
+    filter: (sourcePath) => {
+      const name = basename(sourcePath);
+      return name !== "node_modules" && !name.startsWith(".env");
+    },
+  });
+}
+
+async function verifyActivatedRelease(target, logger, signal) {
+  const { environment, commit } = target.metadata;
+  const { packageName, serviceName, port } = target;
+
+  // Verify PM2 service is healthy
+  if (!(await abortable(isServiceOnline(serviceName), signal))) {
+    throw new Pm2Error(`PM2 service ${serviceName} failed to start`);
+  }
+
+  // Step 10: Final health check on production ports
+  logger.step("Running final health check on production ports");
+  const prodUrl = getHealthCheckUrl(environment, packageName, port);
+  const isHealthy = await abortable(
+    healthCheck(prodUrl, { packageName, commit, logger }),
+    signal
+  );
+
+  if (!isHealthy) {
+    throw new HealthCheckError(`Health check failed for ${prodUrl}`);
+  }
+
+  if (target.smokeTests) {
+    await runTargetSmokeTests(
+      target,
+      "production",
+      `http://localhost:${port || getServicePort(environment, packageName)}`,
+      logger,
+      signal
+    );
+  }
+
+  // Step 11: CDN asset health check (if in CDN mode)
+  if (isCdnMode(target.metadata)) {
+    logger.step("Verifying CDN asset accessibility");
+    const cdnHealthy = await abortable(
+      checkCdnAssets(target.metadata, logger),
+      signal
+    );
+
+    if (!cdnHealthy) {
+      throw new HealthCheckError("CDN asset health check failed");
+    }
+  }
+
+  // Step 12: Public URL health check
+  logger.step("Running public URL health check");
+
+  // Wait for a few seconds to ensure the deployment is fully ready
+  await delay(5000, signal);
+
+  const isPublicHealthy = await abortable(
+    publicHealthCheck(environment, packageName, logger, commit),
+    signal
+  );
+
+  if (!isPublicHealthy) {
+    throw new HealthCheckError(
+      "Public URL health check failed - deployment will be rolled back"
+    );
+  }
+}
+
+/**
+ * Watches the live releases for the configured window. A degraded verdict
+ * throws, carrying the verdict as `watch`, so the deploy reverts.
+ */
+async function watchActivatedReleases(targets, settings, logger, signal) {
+  const { environment, commit } = targets[0].metadata;
+
+  logger.step(`Watching the release for ${settings.duration}s`);
+
+  for (const target of targets) {
+    if (target.deploymentId) {
+      await updateDeploymentStatus(
+        target.deploymentId,
+        "in_progress",
+        `Watching ${target.packageName} in ${environment} for ${settings.duration}s`
+      );
+    }
+  }
+
+  const watch = await watchReleases(
+    targets.map((target) => ({
+      packageName: target.packageName,
+      serviceName: target.serviceName,
+      healthUrl: getHealthCheckUrl(
+        environment,
+        target.packageName,
+        target.port
+      ),
+      commit,
+    })),
+    settings,
+    logger,
+    signal
+  );
+
+  if (watch.status === "degraded") {
+    const error = new HealthCheckError(`Watch window failed: ${watch.reason}`);
+    error.watch = watch;
+    throw error;
+  }
 
-      logger.debug("Sending signal to terminate test server...");
+  logger.info(`👀 Watch window passed (${watch.samples} samples)`);
+  return watch;
+}
+
+/**
+ * Checks every CDN asset of the release and the asset URLs in the page the
+ * test server renders at `pageUrl`, logging a summary. Any missing,
+ * mismatched or off-CDN asset fails the deploy.
+ */
+async function verifyTargetCdn(target, pageUrl, logger, signal) {
+  logger.step("Verifying all CDN assets");
+  const verification = await verifyCdnFull(
+    target.metadata,
+    target.releasePath,
+    pageUrl,
+    logger,
+    signal
+  );
+  target.cdnVerification = verification;
 
-      // Properly terminate the test server and wait for it to exit
-      // Kill entire process group to ensure npm and its children are terminated
-      process.kill(-testServer.pid, "SIGTERM");
+  const { assets, references, missing, mismatched, offCdn, problems } =
+    verification;
+  logger.info(
+    `🌐 CDN: ${assets} assets and ${references} page references checked, ${missing} missing, ${mismatched} mismatched, ${offCdn} not on the CDN`
+  );
 
-      await promise;
+  if (problems.length > 0) {
+    for (const { url, problem } of problems.slice(0, 20)) {
+      logger.error(`${url} - ${problem}`);
+    }
+    if (problems.length > 20) {
+      logger.error(`...and ${problems.length - 20} more`);
     }
+
+    throw new HealthCheckError(
+      `CDN verification failed: ${missing} missing, ${mismatched} mismatched, ${offCdn} not on the CDN`
+    );
+  }
+}
+
+/**
+ * Runs the release's smoke tests against one of its servers and keeps the
+ * results on the target. Any failed check fails the deploy.
+ */
+async function runTargetSmokeTests(target, phase, baseUrl, logger, signal) {
+  const run = await runSmokeTests(
+    target.smokeTests,
+    {
+      baseUrl,
+      phase,
+      releasePath: target.releasePath,
+      packageName: target.packageName,
+      environment: target.metadata.environment,
+      commit: target.metadata.commit,
+      signal,
+    },
+    logger
+  );
+  target.smokeResults.push(run);
+
+  if (!run.passed) {
+    throw new HealthCheckError(
+      `Smoke tests failed on ${phase}: ${describeSmokeFailures(run)}`
+    );
+  }
+}
+
+/**
+ * Load-probes the live release, then the test server, and compares the two.
+ * A regression beyond the package's thresholds fails the deploy, or only
+ * warns with `onRegression: "warn"`. Without a live release that answers,
+ * the new release's numbers are recorded uncompared.
+ */
+async function runTargetPerfCheck(target, check, testPort, logger, signal) {
+  const { environment } = target.metadata;
+  const livePort = getServicePort(environment, target.packageName);
+
+  logger.step("Running performance check");
+
+  // One after the other, so neither probe slows the other down
+  const baseline = (await readSymlinkTarget(target.paths.current))
+    ? await runLoadProbe(`http://localhost:${livePort}`, check, signal)
+    : null;
+  const candidate = await runLoadProbe(
+    `http://localhost:${testPort}`,
+    check,
+    signal
+  );
+
+  const compared = baseline !== null && baseline.errors < baseline.requests;
+  const regressions = compared
+    ? findRegressions(candidate, baseline, check)
+    : [];
+
+  target.perfCheck = {
+    status: !compared
+      ? "uncompared"
+      : regressions.length
+        ? "regressed"
+        : "passed",
+    paths: check.paths,
+    candidate,
+    ...(compared && { baseline }),
+    ...(regressions.length > 0 && { regressions }),
+  };
+
+  logger.info(
+    `⏱️  Performance: ${describeProbe(candidate)}${
+      compared
+        ? ` (live: ${describeProbe(baseline)})`
+        : ", no live release to compare"
+    }`
+  );
+
+  if (regressions.length === 0) {
+    return;
   }
+
+  const message = `Performance regression: ${regressions.join(", ")}`;
+  if (check.onRegression === "warn") {
+    logger.warn(message);
+    return;
+  }
+
+  throw new HealthCheckError(message);
+}
+
+function describeFailure(revert) {
+  if (!revert) {
+    return "Deployment failed";
+  }
+
+  if (revert.healthy) {
+    return `Deployment failed, auto-reverted to ${revert.revertedTo}`;
+  }
+
+  return `Deployment failed, auto-revert to ${revert.revertedTo} unhealthy`;
+}
+
+/**
+ * Starts the staged release on a spare port and checks it there: the health
+ * check, then the artifact's smoke tests
+ */
+async function runHealthCheck(target, logger, signal) {
+  const { releasePath, packageName } = target;
+  const { environment, commit } = target.metadata;
+  const packagePath = join(releasePath, "packages", packageName);
+
+  if (!(await fs.pathExists(packagePath))) {
+    throw new ValidationError(`Package path not found: ${packagePath}`);
+  }
+
+  await runIsolatedHealthCheck(
+    packagePath,
+    { environment, packageName, commit, logger, signal },
+    async (testPort) => {
+      if (target.cdnVerify === "full") {
+        await verifyTargetCdn(
+          target,
+          `http://localhost:${testPort}/`,
+          logger,
+          signal
+        );
+      }
+
+      if (target.smokeTests) {
+        await runTargetSmokeTests(
+          target,
+          "isolated",
+          `http://localhost:${testPort}`,
+          logger,
+          signal
+        );
+      }
+
+      const perfCheck = getPerfCheck(packageName);
+      if (perfCheck) {
+        await runTargetPerfCheck(target, perfCheck, testPort, logger, signal);
+      }
+    }
+  );
 }
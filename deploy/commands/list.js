@@ -3,7 +3,7 @@ import { Logger } from "../utils/logger.js";
 import { getVersionHistory } from "../utils/versions.js";
 
 export async function list(options) {
-  const logger = new Logger(options.verbose);
+  const logger = new Logger(options.verbose, { stderr: options.json });
   const {
     package: packageName,
     env: environment,
@@ -19,10 +19,10 @@ export async function list(options) {
 
     if (!versionData.deployments || versionData.deployments.length === 0) {
       logger.error(`No deployments found for ${packageName}/${environment}`);
-      return;
+      return { package: packageName, environment, total: 0, deployments: [] };
     }
 
-    console.log(`\nDeployment History (${packageName}/${environment}):\n`);
+    logger.print(`\nDeployment History (${packageName}/${environment}):\n`);
 
     // Apply limit to deployments
     const deploymentsToShow = versionData.deployments.slice(0, limit);
@@ -43,20 +43,69 @@ export async function list(options) {
       });
 
       // Main deployment line
-      console.log(`${statusIcon} ${deployment.version} ${statusLabel}`);
+      logger.print(`${statusIcon} ${deployment.version} ${statusLabel}`);
 
       if (options.verbose) {
-        console.log(`   Commit: ${shortCommit} (${deployment.commit})`);
+        logger.print(`   Commit: ${shortCommit} (${deployment.commit})`);
       } else {
-        console.log(`   Commit: ${shortCommit} (${deployment.commit})`);
+        logger.print(`   Commit: ${shortCommit} (${deployment.commit})`);
       }
 
-      console.log(`   Deployed: ${formattedDate} ${formattedTime}`);
-      console.log(`   Status: ${deployment.status}`);
+      logger.print(`   Deployed: ${formattedDate} ${formattedTime}`);
+      logger.print(`   Status: ${deployment.status}`);
+
+      if (deployment.group) {
+        logger.print(
+          `   Group: ${deployment.group.id} (${deployment.group.packages.join(
+            " + "
+          )})`
+        );
+      }
+
+      if (deployment.promotedFrom) {
+        logger.print(
+          `   Promoted from: ${deployment.promotedFrom.environment} (${deployment.promotedFrom.version})`
+        );
+      }
+
+      if (deployment.freezeOverride) {
+        const { freeze, reason, by } = deployment.freezeOverride;
+        logger.print(`   Freeze override: ${reason} (${freeze}, by ${by})`);
+      }
+
+      if (deployment.approval) {
+        const { by, via, at } = deployment.approval;
+        logger.print(
+          `   Approved: by ${by} via ${via} (${new Date(at).toLocaleString()})`
+        );
+      }
+
+      if (deployment.healthCheckSkipped) {
+        logger.print(
+          "   Health check: ⚠️  skipped (rollback --skip-health-check)"
+        );
+      }
+
+      if (deployment.watch) {
+        const { status, duration, packages } = deployment.watch;
+        const restarts = Object.values(packages).reduce(
+          (total, stats) => total + stats.restarts,
+          0
+        );
+        logger.print(
+          `   Watched: ${status} (${duration}s, ${restarts} restarts)`
+        );
+      }
 
       // Verbose information
       if (options.verbose) {
-        console.log(
+        if (deployment.perfCheck) {
+          logger.print(
+            `   Performance: ${describePerfCheck(deployment.perfCheck)}`
+          );
+        }
+
+        logger.print(
           `   Release Path: ${deployment.releasePath.replace(
             process.env.HOME,
             "~"
@@ -66,7 +115,7 @@ export async function list(options) {
         // Check if deployment directory exists
         try {
           const deploymentExists = await fs.pathExists(deployment.releasePath);
-          console.log(
+          logger.print(
             `   Directory Exists: ${deploymentExists ? "✅ Yes" : "❌ No"}`
           );
 
@@ -77,13 +126,13 @@ export async function list(options) {
             if (packageJsonExists) {
               try {
                 const packageJson = await fs.readJson(packageJsonPath);
-                console.log(
+                logger.print(
                   `   Package Version: ${packageJson.version || "Unknown"}`
                 );
 
                 // Get directory size
                 const stats = await fs.stat(deployment.releasePath);
-                console.log(
+                logger.print(
                   `   Last Modified: ${stats.mtime.toLocaleDateString()}`
                 );
               } catch (error) {
@@ -92,7 +141,7 @@ export async function list(options) {
                 );
               }
             } else {
-              console.log(`   Package.json: ❌ Missing`);
+              logger.print(`   Package.json: ❌ Missing`);
             }
           }
         } catch (error) {
@@ -102,7 +151,7 @@ export async function list(options) {
         }
       }
 
-      console.log(); // Empty line between deployments
+      logger.print(); // Empty line between deployments
     }
 
     // Summary
@@ -112,21 +161,21 @@ export async function list(options) {
     ).length;
     const inactiveDeployments = totalDeployments - activeDeployments;
 
-    console.log(
+    logger.print(
       `Total: ${totalDeployments} deployments found (${activeDeployments} active, ${inactiveDeployments} inactive)`
     );
 
     if (totalDeployments > limit) {
-      console.log(
+      logger.print(
         `Showing first ${limit} deployments. Use --limit to show more.`
       );
     }
 
     // Additional verbose summary
     if (options.verbose && totalDeployments > 0) {
-      console.log(`\nSummary:`);
-      console.log(`  Current Active: ${versionData.current || "None"}`);
-      console.log(
+      logger.print(`\nSummary:`);
+      logger.print(`  Current Active: ${versionData.current || "None"}`);
+      logger.print(
         `  Oldest Deployment: ${
           versionData.deployments[totalDeployments - 1]?.timestamp
             ? new Date(
@@ -135,7 +184,7 @@ export async function list(options) {
             : "Unknown"
         }`
       );
-      console.log(
+      logger.print(
         `  Newest Deployment: ${
           versionData.deployments[0]?.timestamp
             ? new Date(
@@ -151,12 +200,30 @@ export async function list(options) {
           versionData.deployments.map((d) => d.commit.substring(0, 7))
         ),
       ];
-      console.log(
+      logger.print(
         `  Unique Commits: ${uniqueCommits.length} (${uniqueCommits
           .slice(0, 5)
           .join(", ")}${uniqueCommits.length > 5 ? "..." : ""})`
       );
+
+      // Oldest to newest, so a release that slowed things down stands out
+      const perfTrend = versionData.deployments
+        .filter((d) => d.perfCheck)
+        .slice(0, 10)
+        .reverse()
+        .map((d) => `${d.perfCheck.candidate.p95}ms`);
+      if (perfTrend.length > 0) {
+        logger.print(`  p95 Trend: ${perfTrend.join(" → ")}`);
+      }
     }
+
+    return {
+      package: packageName,
+      environment,
+      current: versionData.current,
+      total: totalDeployments,
+      deployments: deploymentsToShow,
+    };
   } catch (error) {
     logger.error(`Failed to list deployments: ${error.message}`);
     if (options.verbose) {
@@ -165,3 +232,12 @@ export async function list(options) {
     throw error;
   }
 }
+
+function describePerfCheck({ status, candidate, baseline, regressions }) {
+  const live = baseline
+    ? `, live p50 ${baseline.p50}ms / p95 ${baseline.p95}ms`
+    : "";
+  const detail = regressions ? ` - ${regressions.join(", ")}` : "";
+
+  return `${status} (p50 ${candidate.p50}ms / p95 ${candidate.p95}ms, ${candidate.errorRate}% errors${live})${detail}`;
+}
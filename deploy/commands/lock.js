@@ -0,0 +1,80 @@
+import { Logger } from "../utils/logger.js";
+import {
+  getLockStatus,
+  listLocks,
+  breakDeployLock,
+  describeLockOwner,
+} from "../utils/lock.js";
+import { LockError } from "../utils/errors.js";
+
+export async function lockStatus(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const { package: packageName, env: environment } = options;
+
+  try {
+    let locks;
+
+    if (packageName && environment) {
+      const lock = await getLockStatus(environment, packageName);
+      locks = lock ? [{ ...lock, name: `${environment}-${packageName}` }] : [];
+    } else {
+      locks = await listLocks();
+    }
+
+    if (locks.length === 0) {
+      logger.info("No deploy locks held");
+      return { locks };
+    }
+
+    for (const lock of locks) {
+      logger.print(`🔒 ${lock.name}${lock.stale ? " [STALE]" : ""}`);
+      logger.print(`   Owner: ${describeLockOwner(lock)}`);
+      logger.debug(`Lock file: ${lock.lockFile}`);
+    }
+
+    return { locks };
+  } catch (error) {
+    logger.error(`Failed to get lock status: ${error.message}`);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
+}
+
+export async function lockBreak(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const { package: packageName, env: environment } = options;
+
+  try {
+    const lock = await getLockStatus(environment, packageName);
+
+    if (!lock) {
+      logger.info(`No deploy lock held for ${packageName}/${environment}`);
+      return { broken: null };
+    }
+
+    if (!lock.stale && !options.force) {
+      throw new LockError(
+        `Lock is held by a live process: ${describeLockOwner(
+          lock
+        )}. Use --force to break it anyway.`
+      );
+    }
+
+    const previous = await breakDeployLock(environment, packageName);
+    logger.success(
+      `Broke deploy lock for ${packageName}/${environment} held by ${describeLockOwner(
+        previous
+      )}`
+    );
+
+    return { broken: previous };
+  } catch (error) {
+    logger.error(`Failed to break lock: ${error.message}`);
+    if (options.verbose) {
+      console.error(error.stack);
+    }
+    throw error;
+  }
+}
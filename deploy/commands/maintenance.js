@@ -0,0 +1,111 @@
+import { Logger } from "../utils/logger.js";
+import { acquireDeployLock } from "../utils/lock.js";
+import { getPort } from "../utils/colors.js";
+import { enableMaintenance, disableMaintenance } from "../utils/maintenance.js";
+import { sendDiscordNotification } from "../utils/discordNotifications.js";
+import { ValidationError } from "../utils/errors.js";
+import { PACKAGES, MAINTENANCE } from "../config.js";
+
+/**
+ * Turns maintenance mode on or off for one package, or every package of an
+ * environment. Takes the deploy lock of each package, so it never overlaps
+ * a deploy or rollback.
+ */
+export async function maintenance(action, options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const { env: environment } = options;
+  const packageNames = options.package ? [options.package] : PACKAGES;
+  const releaseLocks = [];
+
+  try {
+    if (!["on", "off"].includes(action)) {
+      throw new ValidationError(
+        `Invalid maintenance action "${action}" (on|off)`
+      );
+    }
+
+    for (const packageName of packageNames) {
+      if (!PACKAGES.includes(packageName)) {
+        throw new ValidationError(`Unknown package: ${packageName}`);
+      }
+      if (getPort(environment, packageName) === undefined) {
+        throw new ValidationError(`Unknown environment: ${environment}`);
+      }
+    }
+
+    for (const packageName of [...packageNames].sort()) {
+      releaseLocks.push(
+        await acquireDeployLock(environment, packageName, {
+          triggerSource: "manual",
+          operation: `maintenance-${action}`,
+          waitTimeout: options.lockTimeout,
+          logger,
+        })
+      );
+    }
+
+    const packages = [];
+
+    for (const packageName of packageNames) {
+      if (action === "on") {
+        const message = options.message || MAINTENANCE.defaultMessage;
+
+        logger.step(
+          `Turning on maintenance mode for ${packageName}/${environment}`
+        );
+        const state = await enableMaintenance(
+          environment,
+          packageName,
+          message,
+          logger
+        );
+
+        await sendDiscordNotification("maintenance_on", {
+          packageName,
+          environment,
+          message,
+        });
+        packages.push({ packageName, maintenance: state });
+        continue;
+      }
+
+      logger.step(
+        `Turning off maintenance mode for ${packageName}/${environment}`
+      );
+      const healthUrl = await disableMaintenance(
+        environment,
+        packageName,
+        logger
+      );
+
+      if (!healthUrl) {
+        logger.info(`${packageName}/${environment} is not in maintenance mode`);
+        packages.push({ packageName, maintenance: null });
+        continue;
+      }
+
+      logger.info(`💚 Health check passed: ${healthUrl}`);
+      await sendDiscordNotification("maintenance_off", {
+        packageName,
+        environment,
+      });
+      packages.push({ packageName, maintenance: null, health: healthUrl });
+    }
+
+    logger.success(
+      `Maintenance mode ${action} for ${packageNames.join(", ")} in ${environment}`
+    );
+
+    return { success: true, action, environment, packages };
+  } catch (error) {
+    logger.error(`Maintenance ${action} failed: ${error.message}`);
+    if (options.verbose) {
+      logger.error(error.stack);
+    }
+    throw error;
+  } finally {
+    for (const releaseLock of releaseLocks) {
+      await releaseLock();
+    }
+  }
+}
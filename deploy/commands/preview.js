@@ -0,0 +1,201 @@
+import { Logger } from "../utils/logger.js";
+import {
+  getPreviewEnvironment,
+  reservePreview,
+  writePreview,
+  preparePreviewEnvFiles,
+  readPreview,
+  listPreviews,
+  removePreview,
+} from "../utils/previews.js";
+import { LockError, ValidationError } from "../utils/errors.js";
+import { writePM2Config } from "../generate-pm2-configs.js";
+import { deploy } from "./deploy.js";
+import { PREVIEWS } from "../config.js";
+
+/**
+ * Deploys artifacts into the preview environment of a pull request
+ * (pr-<number>), creating it on first use: free ports from the preview
+ * range, a PM2 ecosystem config and env files from the .env.preview
+ * templates. The deploy itself is the regular pipeline.
+ */
+export async function previewUp(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  let preview;
+
+  try {
+    const environment = getPreviewEnvironment(options.pr);
+
+    logger.step(`Preparing preview environment ${environment}`);
+    preview = await reservePreview(environment, {
+      logger,
+      signal: options.signal,
+      waitTimeout: options.lockTimeout,
+    });
+
+    const pm2Config = await writePM2Config(environment);
+    logger.debug(`PM2 config: ${pm2Config}`);
+
+    await preparePreviewEnvFiles(preview, logger);
+  } catch (error) {
+    logger.error(`Preview setup failed: ${error.message}`);
+    throw error;
+  }
+
+  // deploy() reports its own failures. The preview keeps its ports either
+  // way, so the next `preview up` retries and `preview down` cleans up.
+  const result = await deploy({
+    ...options,
+    environment: preview.environment,
+    dryRun: false,
+  });
+
+  preview = {
+    ...(await readPreview(preview.environment)),
+    commit: result.commit,
+    updatedAt: new Date().toISOString(),
+  };
+  await writePreview(preview);
+
+  logger.info(
+    `🔗 Preview ${preview.environment}: ${Object.entries(preview.ports)
+      .map(([packageName, port]) => `${packageName} on port ${port}`)
+      .join(", ")}`
+  );
+
+  return { ...result, preview };
+}
+
+/**
+ * Tears a preview environment down: PM2 services, releases, version files
+ * and env files. Succeeds when there is nothing left to remove, so it can
+ * run whenever a pull request is closed.
+ */
+export async function previewDown(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+
+  try {
+    const environment = getPreviewEnvironment(options.pr);
+
+    if (!(await readPreview(environment))) {
+      logger.warn(`No preview state for ${environment}, removing leftovers`);
+    }
+
+    logger.step(`Tearing down preview environment ${environment}`);
+    const removed = await removePreview(environment, {
+      logger,
+      signal: options.signal,
+      waitTimeout: options.lockTimeout,
+    });
+
+    logger.success(`🧹 Preview ${environment} removed`);
+    return { success: true, environment, ...removed };
+  } catch (error) {
+    logger.error(`Preview teardown failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Tears down previews that have not been deployed to for longer than the
+ * maximum age. Previews locked by a running deploy are skipped.
+ */
+export async function previewReap(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const maxAgeHours =
+    options.maxAge !== undefined
+      ? Number(options.maxAge)
+      : PREVIEWS.maxAgeHours;
+
+  try {
+    if (!(maxAgeHours >= 0)) {
+      throw new ValidationError(`Invalid --max-age: ${options.maxAge}`);
+    }
+
+    logger.step(`Reaping previews older than ${maxAgeHours}h`);
+    const reaped = [];
+    const skipped = [];
+
+    for (const preview of await listPreviews()) {
+      const ageHours = getAgeHours(preview);
+
+      if (ageHours <= maxAgeHours) {
+        logger.debug(
+          `Keeping ${preview.environment} (${ageHours.toFixed(1)}h old)`
+        );
+        continue;
+      }
+
+      if (options.dryRun) {
+        logger.info(
+          `Would remove ${preview.environment} (${ageHours.toFixed(1)}h old)`
+        );
+        reaped.push(preview.environment);
+        continue;
+      }
+
+      try {
+        await removePreview(preview.environment, { logger });
+        logger.info(
+          `🧹 Removed ${preview.environment} (${ageHours.toFixed(1)}h old)`
+        );
+        reaped.push(preview.environment);
+      } catch (error) {
+        if (!(error instanceof LockError)) {
+          throw error;
+        }
+        logger.warn(`Skipping ${preview.environment}: ${error.message}`);
+        skipped.push({
+          environment: preview.environment,
+          reason: error.message,
+        });
+      }
+    }
+
+    if (reaped.length === 0 && skipped.length === 0) {
+      logger.info("No previews to reap");
+    }
+
+    return {
+      success: true,
+      dryRun: !!options.dryRun,
+      maxAgeHours,
+      reaped,
+      skipped,
+    };
+  } catch (error) {
+    logger.error(`Preview reap failed: ${error.message}`);
+    throw error;
+  }
+}
+
+export async function previewList(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const previews = await listPreviews();
+
+  if (previews.length === 0) {
+    logger.info("No preview environments");
+    return { previews };
+  }
+
+  logger.print(`\nPreview Environments (${previews.length}):\n`);
+  for (const preview of previews) {
+    const ports = Object.entries(preview.ports)
+      .map(([packageName, port]) => `${packageName}:${port}`)
+      .join(" ");
+    const commit = preview.commit ? preview.commit.substring(0, 7) : "-";
+
+    logger.print(
+      `  ${preview.environment.padEnd(10)} ${commit}  ${ports}  updated ${getAgeHours(
+        preview
+      ).toFixed(1)}h ago`
+    );
+  }
+  logger.print();
+
+  return { previews };
+}
+
+function getAgeHours(preview) {
+  return (Date.now() - new Date(preview.updatedAt).getTime()) / 3_600_000;
+}
@@ -0,0 +1,76 @@
+import { Logger } from "../utils/logger.js";
+import {
+  findPromotionSource,
+  assertClientPromotable,
+} from "../utils/promotion.js";
+import { acquireDeployLock } from "../utils/lock.js";
+import { deploy } from "./deploy.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Re-deploys a release that already runs in one environment to another,
+ * without rebuilding. The release is copied into the target releases tree
+ * and goes through the regular health-check/cutover pipeline.
+ */
+export async function promote(options) {
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  const { package: packageName, from, to } = options;
+  let releaseLock = null;
+  let source;
+
+  const releaseSourceLock = async () => {
+    if (releaseLock) {
+      const release = releaseLock;
+      releaseLock = null;
+      await release();
+    }
+  };
+
+  try {
+    try {
+      if (from === to) {
+        throw new ValidationError(
+          "--from and --to must be different environments"
+        );
+      }
+
+      // Keep cleanup from removing the source release until it is copied;
+      // released right after that, not when the whole deploy has finished
+      releaseLock = await acquireDeployLock(from, packageName, {
+        triggerSource: "manual",
+        operation: "promote",
+        waitTimeout: options.lockTimeout,
+        logger,
+        signal: options.signal,
+      });
+
+      logger.step(`Finding ${packageName} release to promote from ${from}`);
+      source = await findPromotionSource(from, packageName, options.commit);
+
+      logger.info(`Promoting ${source.version} (${source.commit}) to ${to}`);
+      logger.debug(`Source release: ${source.releasePath}`);
+
+      if (packageName === "client") {
+        logger.step("Comparing client build-time values");
+        await assertClientPromotable(source.metadata, from, to);
+      }
+    } catch (error) {
+      logger.error(`Promotion failed: ${error.message}`);
+      throw error;
+    }
+
+    // deploy() reports its own failures
+    return await deploy({
+      ...options,
+      promotion: {
+        releasePath: source.releasePath,
+        metadata: { ...source.metadata, environment: to },
+        integrity: source.integrity,
+        promotedFrom: { environment: from, version: source.version },
+        onCopied: releaseSourceLock,
+      },
+    });
+  } finally {
+    await releaseSourceLock();
+  }
+}
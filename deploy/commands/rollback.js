@@ -2,11 +2,12 @@ import fs from "fs-extra";
 import { join } from "path";
 import { Logger } from "../utils/logger.js";
 import { getDeploymentPaths } from "../utils/paths.js";
-import { updateSymlink, execCommand } from "../utils/fileOps.js";
+import { updateSymlink, readSymlinkTarget } from "../utils/fileOps.js";
 import {
   healthCheck,
   getHealthCheckUrl,
   publicHealthCheck,
+  runIsolatedHealthCheck,
 } from "../utils/healthCheck.js";
 import {
   findRollbackTarget,
@@ -19,9 +20,26 @@ import {
   manageCdnEnvironment,
 } from "../utils/envFiles.js";
 import { sendDiscordNotification } from "../utils/discordNotifications.js";
+import { acquireDeployLock } from "../utils/lock.js";
+import {
+  getServiceName,
+  startOrReloadService,
+  isServiceOnline,
+} from "../utils/pm2.js";
+import { isBlueGreen } from "../utils/colors.js";
+import { startIdleColor, switchTraffic } from "../utils/blueGreen.js";
+import { loadHooks, runHooks } from "../utils/hooks.js";
+import { assertNotInMaintenance } from "../utils/maintenance.js";
+import { getUserName } from "../utils/identity.js";
+import {
+  HealthCheckError,
+  Pm2Error,
+  ValidationError,
+} from "../utils/errors.js";
 
 export async function rollback(options) {
-  const logger = new Logger(options.verbose);
+  const logger = new Logger(options.verbose, { stderr: options.json });
+  let releaseLock = null;
 
   try {
     logger.info("Starting rollback process");
@@ -29,9 +47,18 @@ export async function rollback(options) {
     const { package: packageName, env: environment } = options;
 
     if (!packageName || !environment) {
-      throw new Error("Both --package and --env are required");
+      throw new ValidationError("Both --package and --env are required");
     }
 
+    releaseLock = await acquireDeployLock(environment, packageName, {
+      triggerSource: "manual",
+      operation: "rollback",
+      waitTimeout: options.lockTimeout,
+      logger,
+    });
+
+    await assertNotInMaintenance(environment, packageName);
+
     // Step 1: Find rollback target
     logger.step("Finding rollback target");
     const rollbackTarget = await findRollbackTarget(environment, packageName, {
@@ -74,21 +101,7 @@ export async function rollback(options) {
       logger
     );
 
-    // Step 5: Health check on rollback target
-    logger.step("Performing health check on rollback target");
-    await performRollbackHealthCheck(
-      rollbackTarget,
-      packageName,
-      environment,
-      logger
-    );
-
-    // Step 6: Atomic rollback - update symlink
-    const paths = getDeploymentPaths(environment, packageName);
-    logger.step("Performing atomic rollback");
-    await updateSymlink(rollbackTarget.releasePath, paths.current);
-
-    // Step 7: Configure CDN environment for rollback target
+    // Step 5: Configure CDN environment for rollback target
     logger.step("Configuring CDN environment");
     const packagePath = join(
       rollbackTarget.releasePath,
@@ -112,44 +125,86 @@ export async function rollback(options) {
 
     await manageCdnEnvironment(packagePath, rollbackMetadata, logger);
 
-    // Step 8: Start or reload PM2 service
-    logger.step("Starting/reloading PM2 service");
-    const serviceName = `tobeit69-${packageName}-${environment}`;
-
-    try {
-      // Try to reload first (if service exists)
-      await execCommand(`pm2 reload "${serviceName}"`);
-      logger.debug(`Reloaded existing PM2 service: ${serviceName}`);
-    } catch (error) {
-      // Service doesn't exist, start it with PM2 config
-      logger.debug(`Service ${serviceName} not found, starting new instance`);
-      await execCommand(
-        `pm2 start "${paths.pm2Config}" --only "${serviceName}"`
+    // Step 6: Isolated health check, with the env file and CDN settings the
+    // release is about to run with
+    if (options.skipHealthCheck) {
+      await announceSkippedHealthCheck(
+        rollbackTarget,
+        packageName,
+        environment,
+        logger
+      );
+    } else {
+      logger.step("Running isolated health check on rollback target");
+      await runIsolatedHealthCheck(packagePath, {
+        environment,
+        packageName,
+        commit: rollbackTarget.commit,
+        logger,
+      });
+    }
+
+    const paths = getDeploymentPaths(environment, packageName);
+
+    // The release being rolled back from knows how to undo its own changes
+    // (e.g. down migrations), so its onRollback hooks run before the switch
+    await runRollbackHooks(paths.current, packageName, environment, logger);
+
+    // Step 7: Atomic rollback - update symlink
+    let colorTarget = null;
+
+    logger.step("Performing atomic rollback");
+    if (isBlueGreen(environment)) {
+      // Warm the rollback target on the idle colour before moving traffic
+      colorTarget = await startIdleColor(
+        environment,
+        packageName,
+        rollbackTarget.releasePath,
+        rollbackTarget.commit,
+        logger
       );
-      logger.debug(`Started new PM2 service: ${serviceName}`);
     }
+    await updateSymlink(rollbackTarget.releasePath, paths.current);
+
+    // Step 8: Start or reload PM2 service (blue/green: flip proxy traffic)
+    logger.step("Starting/reloading PM2 service");
+    const serviceName = colorTarget
+      ? colorTarget.serviceName
+      : getServiceName(environment, packageName);
 
-    // Wait for PM2 to start/reload
-    await new Promise((resolve) => setTimeout(resolve, 3000));
+    if (colorTarget) {
+      await switchTraffic(environment, packageName, colorTarget.color, logger);
+    } else {
+      await startOrReloadService(serviceName, paths.pm2Config, logger);
+    }
 
     // Verify PM2 service is healthy
-    const { stdout } = await execCommand(`pm2 describe "${serviceName}"`);
-    if (!stdout.includes("online")) {
-      throw new Error(
+    if (!(await isServiceOnline(serviceName))) {
+      throw new Pm2Error(
         `PM2 service ${serviceName} failed to start after rollback`
       );
     }
 
-    // Step 8: Final health check on production ports
+    // Step 9: Final health check on production ports
     logger.step("Running final health check on production ports");
-    const prodUrl = getHealthCheckUrl(environment, packageName);
-    const isHealthy = await healthCheck(prodUrl);
+    const prodUrl = getHealthCheckUrl(
+      environment,
+      packageName,
+      colorTarget?.port
+    );
+    const isHealthy = await healthCheck(prodUrl, {
+      packageName,
+      commit: rollbackTarget.commit,
+      logger,
+    });
 
     if (!isHealthy) {
-      throw new Error(`Health check failed after rollback: ${prodUrl}`);
+      throw new HealthCheckError(
+        `Health check failed after rollback: ${prodUrl}`
+      );
     }
 
-    // Step 9: Public URL health check
+    // Step 10: Public URL health check
     logger.step("Running public URL health check after rollback");
 
     // Wait for a few seconds to ensure the rollback is fully ready
@@ -158,20 +213,24 @@ export async function rollback(options) {
     const isPublicHealthy = await publicHealthCheck(
       environment,
       packageName,
-      logger
+      logger,
+      rollbackTarget.commit
     );
 
     if (!isPublicHealthy) {
-      throw new Error("Public URL health check failed after rollback");
+      throw new HealthCheckError(
+        "Public URL health check failed after rollback"
+      );
     }
 
-    // Step 10: Update version tracking
+    // Step 11: Update version tracking
     logger.step("Updating version tracking");
     await updateVersionTracking(environment, packageName, {
       version: rollbackTarget.version,
       commit: rollbackTarget.commit,
       timestamp: new Date().toISOString(),
       releasePath: rollbackTarget.releasePath,
+      healthCheckSkipped: options.skipHealthCheck,
     });
 
     // Send Discord notification for successful rollback
@@ -190,7 +249,16 @@ export async function rollback(options) {
     logger.info(`Rolled back to: ${rollbackTarget.version}`);
     logger.info(`Commit: ${rollbackTarget.commit}`);
 
-    return { success: true };
+    return {
+      success: true,
+      packageName,
+      environment,
+      version: rollbackTarget.version,
+      commit: rollbackTarget.commit,
+      releasePath: rollbackTarget.releasePath,
+      healthCheckSkipped: Boolean(options.skipHealthCheck),
+      steps: logger.getStepTimings(),
+    };
   } catch (error) {
     logger.error(`Rollback failed: ${error.message}`);
     if (options.verbose) {
@@ -207,23 +275,61 @@ export async function rollback(options) {
       triggerSource: "manual",
     });
 
+    error.steps = logger.getStepTimings();
     throw error;
+  } finally {
+    if (releaseLock) {
+      await releaseLock();
+    }
+  }
+}
+
+async function runRollbackHooks(currentLink, packageName, environment, logger) {
+  const currentReleasePath = await readSymlinkTarget(currentLink);
+  if (!currentReleasePath) {
+    return;
   }
+
+  const metadata = await fs.readJson(
+    join(currentReleasePath, "metadata.json"),
+    { throws: false }
+  );
+  const hooks = await loadHooks(currentReleasePath, metadata || {});
+
+  await runHooks(
+    "onRollback",
+    hooks,
+    {
+      releasePath: currentReleasePath,
+      packageName,
+      environment,
+      commit: metadata?.commit,
+    },
+    logger
+  );
 }
 
-async function performRollbackHealthCheck(
-  _rollbackTarget,
-  _packageName,
-  _environment,
+/**
+ * `--skip-health-check` is an emergency escape hatch; nobody should find out
+ * about it from the logs afterwards, so it is announced up front
+ */
+async function announceSkippedHealthCheck(
+  rollbackTarget,
+  packageName,
+  environment,
   logger
 ) {
-  // For rollback, we trust that if the deployment directory exists and has the right structure,
-  // it should be healthy since it was previously deployed successfully
+  const by = getUserName();
 
-  // Basic structure validation was already done in validateRollbackTarget
-  logger.debug(
-    "Rollback target validation passed - skipping isolated health check"
+  logger.warn(
+    `Skipping the isolated health check of ${rollbackTarget.version} (--skip-health-check, by ${by})`
   );
-
-  // We'll rely on the final health check after PM2 reload to ensure the service is working
+  await sendDiscordNotification("health_check_skipped", {
+    packageName,
+    environment,
+    commit: rollbackTarget.commit,
+    message: `Rollback to \`${rollbackTarget.version}\` with --skip-health-check, by ${by}`,
+    isLocalArtifact: true,
+    triggerSource: "manual",
+  });
 }
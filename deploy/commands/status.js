@@ -2,11 +2,23 @@ import fs from "fs-extra";
 import { Logger } from "../utils/logger.js";
 import { getVersionHistory } from "../utils/versions.js";
 import { getHealthCheckUrl, healthCheck } from "../utils/healthCheck.js";
-import { execCommand } from "../utils/fileOps.js";
-import { PORTS } from "../config.js";
+import { execCommand, readSymlinkTarget } from "../utils/fileOps.js";
+import { getDeploymentPaths } from "../utils/paths.js";
+import { getServiceName } from "../utils/pm2.js";
+import { readMaintenance } from "../utils/maintenance.js";
+import {
+  COLORS,
+  isBlueGreen,
+  getActiveColor,
+  getColorPort,
+} from "../utils/colors.js";
 
+/**
+ * Prints the active deployment of a package and returns the same
+ * information for --json
+ */
 export async function status(options) {
-  const logger = new Logger(options.verbose);
+  const logger = new Logger(options.verbose, { stderr: options.json });
   const { package: packageName, env: environment } = options;
 
   try {
@@ -17,7 +29,7 @@ export async function status(options) {
 
     if (!versionData.current) {
       logger.error(`No deployments found for ${packageName}/${environment}`);
-      return;
+      return { package: packageName, environment, active: null };
     }
 
     // Find current active deployment
@@ -29,17 +41,24 @@ export async function status(options) {
       logger.error(
         `No active deployment found for ${packageName}/${environment}`
       );
-      return;
+      return { package: packageName, environment, active: null };
     }
 
+    // In blue/green environments the active colour's service serves traffic
+    const blueGreen = isBlueGreen(environment);
+    const activeColor = blueGreen
+      ? getActiveColor(environment, packageName)
+      : null;
+
     // Get PM2 service status
-    const serviceName = `tobeit69-${packageName}-${environment}`;
+    const serviceName = getServiceName(environment, packageName, activeColor);
     let pm2Status = "unknown";
     let pm2Info = null;
+    let pm2List = [];
 
     try {
       const { stdout } = await execCommand(`pm2 jlist`);
-      const pm2List = JSON.parse(stdout);
+      pm2List = JSON.parse(stdout);
 
       // Find our specific service
       pm2Info = pm2List.find((service) => service.name === serviceName);
@@ -55,42 +74,51 @@ export async function status(options) {
     }
 
     // Perform health check
-    const port = PORTS[environment][packageName];
     const healthUrl = getHealthCheckUrl(environment, packageName);
-    let healthStatus = "❌ Unhealthy";
+    let isHealthy = false;
 
     try {
-      const isHealthy = await healthCheck(healthUrl, 1); // Single retry for status check
-      healthStatus = isHealthy ? "✅ Healthy" : "❌ Unhealthy";
+      isHealthy = await healthCheck(healthUrl, {
+        packageName,
+        commit: currentDeployment.commit,
+        retries: 1, // Single attempt for status check
+        logger,
+      });
     } catch (error) {
-      healthStatus = "❌ Unhealthy";
       logger.debug(`Health check failed: ${error.message}`);
     }
+    const healthStatus = isHealthy ? "✅ Healthy" : "❌ Unhealthy";
+
+    const maintenance = await readMaintenance(environment, packageName);
+
+    const colors = blueGreen
+      ? await getColorStatus(environment, packageName, activeColor, pm2List)
+      : null;
 
     // Display status information
     logger.success("Current Active Deployment:");
-    console.log(`  Package: ${packageName}`);
-    console.log(`  Environment: ${environment}`);
-    console.log(`  Version: ${currentDeployment.version}`);
+    logger.print(`  Package: ${packageName}`);
+    logger.print(`  Environment: ${environment}`);
+    logger.print(`  Version: ${currentDeployment.version}`);
 
     if (options.verbose) {
-      console.log(`  Commit: ${currentDeployment.commit}`);
+      logger.print(`  Commit: ${currentDeployment.commit}`);
     } else {
-      console.log(
+      logger.print(
         `  Commit: ${currentDeployment.commit.substring(0, 7)} (${
           currentDeployment.commit
         })`
       );
     }
 
-    console.log(
+    logger.print(
       `  Deployed: ${new Date(currentDeployment.timestamp).toLocaleString()}`
     );
 
     if (options.verbose) {
-      console.log(`  Release Path: ${currentDeployment.releasePath}`);
+      logger.print(`  Release Path: ${currentDeployment.releasePath}`);
     } else {
-      console.log(
+      logger.print(
         `  Release Path: ${currentDeployment.releasePath.replace(
           process.env.HOME,
           "~"
@@ -98,37 +126,58 @@ export async function status(options) {
       );
     }
 
-    console.log(`  PM2 Status: ${pm2Status}`);
-    console.log(`  Health: ${healthStatus} (${healthUrl})`);
+    logger.print(`  PM2 Status: ${pm2Status}`);
+    logger.print(`  Health: ${healthStatus} (${healthUrl})`);
+
+    if (currentDeployment.healthCheckSkipped) {
+      logger.print(
+        "  Isolated Check: ⚠️  skipped (rolled back with --skip-health-check)"
+      );
+    }
+
+    if (maintenance) {
+      logger.print(
+        `  Maintenance: 🚧 On since ${new Date(
+          maintenance.startedAt
+        ).toLocaleString()} (${maintenance.service}, port ${maintenance.port})`
+      );
+      logger.print(`  Message: ${maintenance.message}`);
+    } else {
+      logger.print("  Maintenance: Off");
+    }
+
+    if (blueGreen) {
+      printColorStatus(activeColor, colors, logger);
+    }
 
     // Verbose information
     if (options.verbose && pm2Info) {
-      console.log("\nDetailed PM2 Information:");
-      console.log(`  PID: ${pm2Info.pid || "N/A"}`);
-      console.log(
+      logger.print("\nDetailed PM2 Information:");
+      logger.print(`  PID: ${pm2Info.pid || "N/A"}`);
+      logger.print(
         `  Uptime: ${
           pm2Info.pm2_env.pm_uptime
             ? new Date(pm2Info.pm2_env.pm_uptime).toLocaleString()
             : "N/A"
         }`
       );
-      console.log(`  Restarts: ${pm2Info.pm2_env.restart_time || 0}`);
-      console.log(
+      logger.print(`  Restarts: ${pm2Info.pm2_env.restart_time || 0}`);
+      logger.print(
         `  Memory Usage: ${
           pm2Info.monit?.memory
             ? `${Math.round(pm2Info.monit.memory / 1024 / 1024)}MB`
             : "N/A"
         }`
       );
-      console.log(
+      logger.print(
         `  CPU Usage: ${
           pm2Info.monit?.cpu !== undefined ? `${pm2Info.monit.cpu}%` : "N/A"
         }`
       );
-      console.log(
+      logger.print(
         `  Node.js Version: ${pm2Info.pm2_env.node_version || "N/A"}`
       );
-      console.log(`  Working Directory: ${pm2Info.pm2_env.pm_cwd || "N/A"}`);
+      logger.print(`  Working Directory: ${pm2Info.pm2_env.pm_cwd || "N/A"}`);
     }
 
     // Check if deployment directory exists
@@ -136,21 +185,21 @@ export async function status(options) {
       const deploymentExists = await fs.pathExists(
         currentDeployment.releasePath
       );
-      console.log(`\nDeployment Directory:`);
-      console.log(`  Exists: ${deploymentExists ? "✅ Yes" : "❌ No"}`);
+      logger.print(`\nDeployment Directory:`);
+      logger.print(`  Exists: ${deploymentExists ? "✅ Yes" : "❌ No"}`);
 
       if (deploymentExists) {
         try {
           const packageJsonPath = `${currentDeployment.releasePath}/packages/${packageName}/package.json`;
           const packageJsonExists = await fs.pathExists(packageJsonPath);
-          console.log(
+          logger.print(
             `  Package.json: ${packageJsonExists ? "✅ Present" : "❌ Missing"}`
           );
 
           if (packageJsonExists) {
             const packageJson = await fs.readJson(packageJsonPath);
-            console.log(`  Package Name: ${packageJson.name || "Unknown"}`);
-            console.log(
+            logger.print(`  Package Name: ${packageJson.name || "Unknown"}`);
+            logger.print(
               `  Package Version: ${packageJson.version || "Unknown"}`
             );
           }
@@ -159,6 +208,31 @@ export async function status(options) {
         }
       }
     }
+
+    return {
+      package: packageName,
+      environment,
+      active: {
+        version: currentDeployment.version,
+        commit: currentDeployment.commit,
+        timestamp: currentDeployment.timestamp,
+        releasePath: currentDeployment.releasePath,
+        ...(currentDeployment.healthCheckSkipped && {
+          healthCheckSkipped: true,
+        }),
+      },
+      pm2: {
+        service: serviceName,
+        status: pm2Status,
+        pid: pm2Info?.pid ?? null,
+        restarts: pm2Info?.pm2_env.restart_time ?? null,
+        memory: pm2Info?.monit?.memory ?? null,
+        cpu: pm2Info?.monit?.cpu ?? null,
+      },
+      health: { url: healthUrl, healthy: isHealthy },
+      maintenance,
+      ...(blueGreen && { blueGreen: { activeColor, colors } }),
+    };
   } catch (error) {
     logger.error(`Failed to get deployment status: ${error.message}`);
     if (options.verbose) {
@@ -167,3 +241,40 @@ export async function status(options) {
     throw error;
   }
 }
+
+async function getColorStatus(environment, packageName, activeColor, pm2List) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const colors = [];
+
+  for (const color of COLORS) {
+    const release = await readSymlinkTarget(paths.colors[color]);
+    const serviceName = getServiceName(environment, packageName, color);
+    const service = pm2List.find((entry) => entry.name === serviceName);
+
+    colors.push({
+      color,
+      active: color === activeColor,
+      release,
+      port: getColorPort(environment, packageName, color),
+      pm2Status: service?.pm2_env.status || "not found",
+    });
+  }
+
+  return colors;
+}
+
+function printColorStatus(activeColor, colors, logger) {
+  logger.print("\nBlue/Green:");
+  logger.print(
+    `  Active Colour: ${activeColor || "blue (legacy service, not switched yet)"}`
+  );
+
+  for (const { color, active, release, port, pm2Status } of colors) {
+    const marker = active ? "→" : " ";
+
+    logger.print(
+      `  ${marker} ${color}: ${release ? release.split("/").pop() : "none"} ` +
+        `(port ${port}, PM2 ${pm2Status})`
+    );
+  }
+}
@@ -1,6 +1,14 @@
 import { deploy } from "./deploy.js";
+import { previewUp } from "./preview.js";
 import { Logger } from "../utils/logger.js";
 import { parseEnvironment } from "../utils/parseEnvironment.js";
+import { isPreviewEnvironment } from "../utils/previews.js";
+import { isApprovalRequired } from "../utils/approvals.js";
+import { getActiveFreeze, describeFreeze } from "../utils/freezes.js";
+import { updateDeploymentStatus } from "../utils/deploymentStatus.js";
+import { sendDiscordNotification } from "../utils/discordNotifications.js";
+import { FreezeError } from "../utils/errors.js";
+import { LOCK, APPROVALS } from "../config.js";
 
 export async function webhookDeploy(payload) {
   const logger = new Logger(true); // Always verbose for webhook deployments
@@ -27,17 +35,52 @@ export async function webhookDeploy(payload) {
       `🚀 Starting webhook deployment for ${packageName} -> ${environment} (${commit})`
     );
 
-    // Call the enhanced deploy command with GitHub Actions run ID
-    logger.step("Executing deployment using GitHub Actions run ID");
-    await deploy({
+    // Refuse frozen environments before downloading anything. Webhook
+    // deploys cannot override a freeze; use the CLI for that.
+    const freeze = getActiveFreeze(env);
+    if (freeze) {
+      const message = describeFreeze(env, freeze);
+
+      await updateDeploymentStatus(deploymentId, "failure", message);
+      await sendDiscordNotification("failure", {
+        packageName,
+        environment: env,
+        commit,
+        deploymentId,
+        error: message,
+        workflowRunId,
+        triggerSource: "webhook",
+      });
+      throw new FreezeError(message);
+    }
+
+    // The holder of the lock may itself be parked for approval, so in
+    // approval environments the wait has to outlast an approval request
+    const requireApproval = isApprovalRequired(env);
+    const lockTimeout = requireApproval
+      ? LOCK.webhookWaitTimeout + APPROVALS.timeout
+      : LOCK.webhookWaitTimeout;
+
+    const deployOptions = {
       runId: workflowRunId,
       package: packageName,
       env: env,
       deploymentId: deploymentId,
       verbose: true,
       dryRun: false,
+      lockTimeout, // Wait for manual deploys instead of failing
       triggerSource: "webhook", // Indicate this is an automated webhook deployment
-    });
+      requireApproval, // Park before cutover until approved
+    };
+
+    // Call the enhanced deploy command with GitHub Actions run ID
+    logger.step("Executing deployment using GitHub Actions run ID");
+    if (isPreviewEnvironment(env)) {
+      // pr-123-client: bring up (or update) the pull request's preview
+      await previewUp({ ...deployOptions, pr: env.slice("pr-".length) });
+    } else {
+      await deploy(deployOptions);
+    }
 
     logger.success(`✨ Webhook deployment completed successfully!`);
     logger.info(`Package: ${packageName}`);
@@ -1,44 +1,164 @@
 import { homedir } from "os";
 import { join } from "path";
+import { loadDeployConfig } from "./utils/deployConfig.js";
 
 export const BASE_PATH =
   process.env.DEPLOYMENT_BASE_PATH || join(homedir(), "tobeit69");
 
+// Environments deployed blue/green behind a local reverse proxy, in addition
+// to those with `blueGreen: true` in deploy.config (comma separated)
+const blueGreenEnvironments = (process.env.BLUE_GREEN_ENVIRONMENTS || "")
+  .split(",")
+  .map((env) => env.trim())
+  .filter(Boolean);
+
+// Spare ports for isolated test servers (HEALTH_CHECK.portRange); no
+// environment or preview port may fall into it
+const testServerPorts = { min: 9000, max: 9999 };
+
+// Projects, packages, environments, ports, health endpoints, public URLs,
+// retention and notifications, from BASE_PATH/deploy.config.{js,json}.
+// Every command needs a valid config, so importing this module fails with a
+// ValidationError when it is not; the CLI reports that like any other error.
+const deployConfig = await loadDeployConfig(BASE_PATH, {
+  configPath: process.env.DEPLOY_CONFIG_PATH,
+  blueGreenEnvironments,
+  reservedPortRanges: { "HEALTH_CHECK.portRange": testServerPorts },
+});
+
+export const DEPLOY_CONFIG = deployConfig.config;
+export const DEPLOY_CONFIG_FILE = deployConfig.file;
+
+export const PROJECT = DEPLOY_CONFIG.project;
+export const ENVIRONMENTS = Object.keys(DEPLOY_CONFIG.environments);
+export const PACKAGES = Object.keys(DEPLOY_CONFIG.packages);
+
 export const PATHS = {
   deployments: join(BASE_PATH, "deployments"),
   versions: join(BASE_PATH, "versions"),
   dotenv: join(BASE_PATH, "dotenv"),
+  locks: join(BASE_PATH, "locks"),
+  approvals: join(BASE_PATH, "approvals"),
+  pnpmStore: join(BASE_PATH, "pnpm-store"),
 };
 
-export const PORTS = {
-  main: { client: 3000, server: 8080 },
-  staging: { client: 3001, server: 8081 },
-  prod: { client: 3002, server: 8082 },
+export const PORTS = mapEnvironments((settings) => settings.ports);
+
+// Ports of the green colour in blue/green environments (blue uses PORTS)
+export const GREEN_PORTS = mapEnvironments(
+  (settings) => settings.greenPorts || {}
+);
+
+// Local (isolated/production) and public health check paths by package
+export const HEALTH_PATHS = Object.fromEntries(
+  Object.entries(DEPLOY_CONFIG.packages).map(([packageName, settings]) => [
+    packageName,
+    {
+      local: settings.healthPath || "/",
+      public: settings.publicHealthPath || settings.healthPath || "/",
+    },
+  ])
+);
+
+// Health check spec by package (`health` in deploy.config): method, expected
+// status codes, headers and JSON body, response-time budget and timeout.
+// Drives the isolated, production-port and public URL checks alike.
+export const HEALTH_SPECS = Object.fromEntries(
+  Object.entries(DEPLOY_CONFIG.packages).map(([packageName, settings]) => [
+    packageName,
+    { method: "GET", ...settings.health },
+  ])
+);
+
+// Performance regression check by package (`perfCheck` in deploy.config),
+// over these defaults. Packages without one are not probed.
+export const PERF_CHECK = {
+  requests: 50, // Spread round-robin over the paths
+  concurrency: 5,
+  warmup: 5, // Requests sent first and not measured
+  timeout: 5000, // ms per request; a timed-out request counts as an error
+  maxLatencyIncrease: 50, // percent over the live release, for p50 and p95
+  minLatencyIncrease: 10, // ms; smaller increases are noise, not regressions
+  maxErrorRateIncrease: 1, // percentage points over the live release
+  onRegression: "fail", // or "warn"
+};
+
+export const PERF_CHECKS = Object.fromEntries(
+  Object.entries(DEPLOY_CONFIG.packages)
+    .filter(([, settings]) => settings.perfCheck)
+    .map(([packageName, settings]) => [
+      packageName,
+      { ...PERF_CHECK, ...settings.perfCheck },
+    ])
+);
+
+export const BLUE_GREEN = {
+  environments: ENVIRONMENTS.filter(
+    (environment) =>
+      DEPLOY_CONFIG.environments[environment].blueGreen ||
+      blueGreenEnvironments.includes(environment)
+  ),
+  proxy: process.env.BLUE_GREEN_PROXY || "nginx", // "nginx" or "caddy"
+  proxyReloadCommand:
+    process.env.BLUE_GREEN_PROXY_RELOAD_COMMAND ||
+    (process.env.BLUE_GREEN_PROXY === "caddy"
+      ? "caddy reload --config /etc/caddy/Caddyfile"
+      : "nginx -s reload"),
 };
 
 export const HEALTH_CHECK = {
+  // The isolated test server must listen and pass its health check within this
   timeout: 30000,
-  portRange: { min: 9000, max: 9999 },
+  backoff: { initial: 100, max: 2000 }, // ms between readiness probes
+  outputLines: 50, // Test server output kept for startup/health check errors
+  requestTimeout: 10000, // Per request, unless the package's health spec sets one
+  portRange: testServerPorts,
   retries: 3,
   interval: 1000,
 };
 
-export const CLEANUP = {
-  keepCommits: 5,
-  keepAttempts: 2,
+export const LOCK = {
+  pollInterval: 2000, // 2 seconds between checks while waiting for a held lock
+  webhookWaitTimeout: 1800, // Seconds a webhook deployment waits for a held lock
+  unreadableStaleAfter: 60, // Seconds before an empty or corrupt lock file counts as stale
+};
+
+// Deploys parked for approval (`requireApproval` environments): how long a
+// request stays open and who may decide over HTTP
+export const APPROVALS = {
+  timeout: Number(process.env.APPROVAL_TIMEOUT) || 3600, // seconds
+  pollInterval: 2000, // 2 seconds between checks while waiting for a decision
+  // Bearer tokens for the webhook server's approval endpoint, as
+  // comma-separated `name:token` pairs; the name is recorded as the approver
+  tokens: (process.env.APPROVAL_TOKENS || "")
+    .split(",")
+    .map((entry) => entry.trim().match(/^([^:]+):(.+)$/))
+    .filter(Boolean)
+    .map(([, name, token]) => ({ name, token })),
 };
 
+export const CLEANUP = DEPLOY_CONFIG.retention;
+
+// Per-PR preview environments (pr-<number>): port range to allocate from and
+// age after which `deploy preview reap` tears them down
+export const PREVIEWS = DEPLOY_CONFIG.previews;
+
 export const CDN_HEALTH_CHECK = {
   enabled: true,
   sampleSize: 5, // Number of random assets to check
+  concurrency: 10, // Requests in flight with --cdn-verify full
   timeout: 10000, // 10 seconds per asset
   retries: 2,
   interval: 1000, // 1 second between retries
 };
 
+const discordWebhookUrl =
+  DEPLOY_CONFIG.notifications.discord?.webhookUrl ||
+  process.env.DISCORD_WEBHOOK_URL;
+
 export const DISCORD = {
-  webhookUrl: process.env.DISCORD_WEBHOOK_URL,
-  enabled: !!process.env.DISCORD_WEBHOOK_URL,
+  webhookUrl: discordWebhookUrl,
+  enabled: !!discordWebhookUrl,
   timeout: 10000, // 10 seconds timeout for Discord webhook requests
 };
 
@@ -50,9 +170,94 @@ export const PUBLIC_HEALTH_CHECK = {
   delay: 5000, // 5 seconds delay after PM2 deployment before checking
 };
 
-// Public deployment URLs by environment (configured via environment variables)
-export const PUBLIC_URLS = {
-  main: process.env.PUBLIC_DEPLOY_URL_MAIN,
-  staging: process.env.PUBLIC_DEPLOY_URL_STAGING,
-  prod: process.env.PUBLIC_DEPLOY_URL_PROD,
+export const INTEGRITY = {
+  // Refuse artifacts without a .sha256 sidecar instead of warning
+  requireChecksum: process.env.ARTIFACT_REQUIRE_CHECKSUM === "true",
+  // PEM public key used to verify .sig detached signatures
+  publicKeyPath: process.env.ARTIFACT_PUBLIC_KEY_PATH,
+  // Environments that only accept signed artifacts (comma separated)
+  signedEnvironments: (process.env.ARTIFACT_SIGNED_ENVIRONMENTS || "")
+    .split(",")
+    .map((env) => env.trim())
+    .filter(Boolean),
 };
+
+export const ARTIFACT_SOURCES = {
+  // Bearer token sent with --artifact https://... downloads, only to these
+  // hosts (comma-separated, e.g. "artifacts.example.com,ci.example.com:8443")
+  httpToken: process.env.ARTIFACT_HTTP_TOKEN,
+  httpTokenHosts: (process.env.ARTIFACT_HTTP_TOKEN_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+  maxRedirects: 5,
+  timeout: 10 * 60 * 1000, // 10 minutes per download
+  s3: {
+    // Any S3-compatible endpoint, e.g. http://localhost:9000 for MinIO
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || "us-east-1",
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey:
+      process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.S3_SESSION_TOKEN || process.env.AWS_SESSION_TOKEN,
+    // Path-style URLs (endpoint/bucket/key) work with MinIO and most providers
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false",
+  },
+};
+
+export const DEPENDENCIES = {
+  // How node_modules is reused from a release with the same lockfile:
+  // "hardlink", "reflink" (copy-on-write where supported) or "off"
+  reuse: process.env.DEPENDENCY_REUSE || "hardlink",
+  // Installing on a cache miss: "auto" tries the shared store offline first,
+  // "always" never touches the network, "never" always resolves online
+  offline: process.env.DEPENDENCY_OFFLINE || "auto",
+};
+
+export const HOOKS = {
+  defaultTimeout: 300, // seconds per hook command unless the hook sets `timeout`
+  killGrace: 5000, // ms between SIGTERM and SIGKILL for a timed-out hook
+};
+
+// Smoke tests declared by an artifact (`smokeTests` in metadata.json)
+export const SMOKE_TESTS = {
+  requestTimeout: 10000, // ms per check unless the check sets `timeout`
+  scriptTimeout: 300, // seconds for the smoke script unless it sets `timeout`
+};
+
+// Post-deploy watch window (`--watch <seconds>` or an environment's `watch`
+// setting). The thresholds below are the defaults for every environment.
+export const WATCH = {
+  interval: 10, // seconds between samples of PM2 stats and health
+  maxRestarts: 1, // PM2 restarts tolerated during the window
+  maxMemoryPercent: 90, // of max_memory_restart, when the service sets one
+  maxHealthFailures: 3, // consecutive failed health samples
+};
+
+export const MAINTENANCE = {
+  defaultMessage:
+    process.env.MAINTENANCE_MESSAGE ||
+    "We're doing some maintenance and will be back shortly.",
+  retryAfter: 300, // Seconds sent in the Retry-After header of the 503 page
+};
+
+export const CANCELLATION = {
+  // Keep the partial release of a cancelled deploy for inspection
+  keepPartialRelease: process.env.DEPLOY_KEEP_CANCELLED_RELEASE === "true",
+};
+
+// Public deployment URLs by environment: `publicUrl` in deploy.config, or
+// PUBLIC_DEPLOY_URL_<ENV> (e.g. PUBLIC_DEPLOY_URL_PROD)
+export const PUBLIC_URLS = mapEnvironments(
+  (settings, environment) =>
+    settings.publicUrl ||
+    process.env[`PUBLIC_DEPLOY_URL_${environment.toUpperCase()}`]
+);
+
+function mapEnvironments(pick) {
+  return Object.fromEntries(
+    Object.entries(DEPLOY_CONFIG.environments).map(
+      ([environment, settings]) => [environment, pick(settings, environment)]
+    )
+  );
+}
@@ -2,51 +2,38 @@
 
 import { mkdir, writeFile } from "fs/promises";
 import { join } from "path";
-import { PATHS, PORTS } from "./config.js";
+import { PATHS, ENVIRONMENTS, PACKAGES } from "./config.js";
 import { getDeploymentPaths } from "./utils/paths.js";
-
-const ENVIRONMENTS = ["main", "staging", "prod"];
-const PACKAGES = ["client", "server"];
+import { getServiceName } from "./utils/pm2.js";
+import { COLORS, isBlueGreen, getColorPort, getPort } from "./utils/colors.js";
 
 function generatePM2Config(environment) {
   const apps = [];
 
   for (const packageName of PACKAGES) {
-    const { current } = getDeploymentPaths(environment, packageName);
-    const port = PORTS[environment][packageName];
-
-    apps.push({
-      name: `tobeit69-${packageName}-${environment}`,
-      cwd: join(current, "packages", packageName),
-      script: "npm",
-      args: "start",
-      instances: 1,
-      exec_mode: "fork",
-      env: {
-        DEPLOY_ENV: environment,
-        NODE_ENV: "production",
-        PORT: port,
-      },
-      error_file: join(
-        PATHS.deployments,
-        environment,
-        `logs/${packageName}-error.log`
-      ),
-      out_file: join(
-        PATHS.deployments,
-        environment,
-        `logs/${packageName}-out.log`
-      ),
-      log_file: join(
-        PATHS.deployments,
-        environment,
-        `logs/${packageName}-combined.log`
-      ),
-      time: true,
-      autorestart: true,
-      watch: false,
-      max_memory_restart: "1G",
-    });
+    const paths = getDeploymentPaths(environment, packageName);
+
+    if (isBlueGreen(environment)) {
+      // One app per colour, each running its own release on its own port
+      for (const color of COLORS) {
+        apps.push(
+          createApp(environment, packageName, {
+            name: getServiceName(environment, packageName, color),
+            cwd: join(paths.colors[color], "packages", packageName),
+            port: getColorPort(environment, packageName, color),
+            color,
+          })
+        );
+      }
+    } else {
+      apps.push(
+        createApp(environment, packageName, {
+          name: getServiceName(environment, packageName),
+          cwd: join(paths.current, "packages", packageName),
+          port: getPort(environment, packageName),
+        })
+      );
+    }
   }
 
   return {
@@ -54,29 +41,69 @@ function generatePM2Config(environment) {
   };
 }
 
+function createApp(environment, packageName, { name, cwd, port, color }) {
+  const logPrefix = color ? `${packageName}-${color}` : packageName;
+
+  return {
+    name,
+    cwd,
+    script: "npm",
+    args: "start",
+    instances: 1,
+    exec_mode: "fork",
+    env: {
+      DEPLOY_ENV: environment,
+      NODE_ENV: "production",
+      PORT: port,
+      ...(color && { COLOR: color }),
+    },
+    error_file: join(
+      PATHS.deployments,
+      environment,
+      `logs/${logPrefix}-error.log`
+    ),
+    out_file: join(PATHS.deployments, environment, `logs/${logPrefix}-out.log`),
+    log_file: join(
+      PATHS.deployments,
+      environment,
+      `logs/${logPrefix}-combined.log`
+    ),
+    time: true,
+    autorestart: true,
+    watch: false,
+    max_memory_restart: "1G",
+  };
+}
+
+/**
+ * Writes deployments/<environment>/ecosystem.config.js and the logs directory.
+ * Also used for preview environments, which are not in deploy.config.
+ */
+async function writePM2Config(environment) {
+  const envDeploymentPath = join(PATHS.deployments, environment);
+  const logsPath = join(envDeploymentPath, "logs");
+  const configPath = join(envDeploymentPath, "ecosystem.config.js");
+
+  // Ensure directories exist
+  await mkdir(envDeploymentPath, { recursive: true });
+  await mkdir(logsPath, { recursive: true });
+
+  // Generate config content
+  const config = generatePM2Config(environment);
+  const configContent = `module.exports = ${JSON.stringify(config, null, 2)};`;
+
+  // Write config file
+  await writeFile(configPath, configContent, "utf8");
+
+  return configPath;
+}
+
 async function createPM2Configs() {
   console.log("🔧 Generating PM2 ecosystem configs...");
 
   for (const environment of ENVIRONMENTS) {
     try {
-      const envDeploymentPath = join(PATHS.deployments, environment);
-      const logsPath = join(envDeploymentPath, "logs");
-      const configPath = join(envDeploymentPath, "ecosystem.config.js");
-
-      // Ensure directories exist
-      await mkdir(envDeploymentPath, { recursive: true });
-      await mkdir(logsPath, { recursive: true });
-
-      // Generate config content
-      const config = generatePM2Config(environment);
-      const configContent = `module.exports = ${JSON.stringify(
-        config,
-        null,
-        2
-      )};`;
-
-      // Write config file
-      await writeFile(configPath, configContent, "utf8");
+      const configPath = await writePM2Config(environment);
 
       console.log(`✅ Created PM2 config for ${environment}: ${configPath}`);
     } catch (error) {
@@ -96,4 +123,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   createPM2Configs().catch(console.error);
 }
 
-export { createPM2Configs, generatePM2Config };
+export { createPM2Configs, generatePM2Config, writePM2Config };
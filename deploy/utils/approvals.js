@@ -0,0 +1,203 @@
+import fs from "fs-extra";
+import { randomBytes, timingSafeEqual } from "crypto";
+import { hostname } from "os";
+import { basename } from "path";
+import { getApprovalFile } from "./paths.js";
+import { isProcessAlive } from "./lock.js";
+import { delay } from "./cancellation.js";
+import { ApprovalError, ValidationError } from "./errors.js";
+import { DEPLOY_CONFIG, PATHS, APPROVALS } from "../config.js";
+
+/**
+ * Webhook deploys into environments with `requireApproval` wait for a human
+ * decision between the isolated health check and cutover
+ */
+export function isApprovalRequired(environment) {
+  return DEPLOY_CONFIG.environments[environment]?.requireApproval === true;
+}
+
+/**
+ * Parks a staged deploy as a pending approval request. The deploy process
+ * keeps its locks and polls the request (see waitForApproval).
+ */
+export async function requestApproval({
+  environment,
+  commit,
+  packages,
+  releasePaths,
+  triggerSource,
+}) {
+  const requestedAt = new Date();
+  const approval = {
+    id: randomBytes(4).toString("hex"),
+    status: "pending",
+    environment,
+    commit,
+    packages,
+    releasePaths,
+    triggerSource,
+    pid: process.pid,
+    host: hostname(),
+    requestedAt: requestedAt.toISOString(),
+    expiresAt: new Date(
+      requestedAt.getTime() + APPROVALS.timeout * 1000
+    ).toISOString(),
+  };
+
+  await writeApproval(approval);
+  return approval;
+}
+
+/**
+ * Polls an approval request until it is decided or expires. Returns the
+ * approved request; throws an ApprovalError when it is rejected or expires.
+ * A cancelled wait marks the request cancelled so it can no longer be
+ * approved.
+ */
+export async function waitForApproval(approval, { logger, signal } = {}) {
+  const { id } = approval;
+
+  try {
+    while (true) {
+      const current = await readApproval(id);
+
+      if (current?.status === "approved") {
+        return current;
+      }
+
+      if (current?.status === "rejected") {
+        throw new ApprovalError(
+          `Deploy ${id} was rejected by ${current.decision.by}${
+            current.decision.reason ? `: ${current.decision.reason}` : ""
+          }`
+        );
+      }
+
+      if (!current || Date.now() >= Date.parse(approval.expiresAt)) {
+        await closeApproval(id, "expired");
+        throw new ApprovalError(
+          `Deploy ${id} was not approved within ${APPROVALS.timeout}s`
+        );
+      }
+
+      logger?.debug(`Waiting for approval of deploy ${id}`);
+      await delay(APPROVALS.pollInterval, signal);
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      await closeApproval(id, "cancelled");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Records an approve/reject decision on a pending request. `by` is the
+ * approver (CLI user or HTTP token name), `via` how the decision was made.
+ */
+export async function decideApproval(id, decision, { by, via, reason }) {
+  const approval = await readApproval(id);
+
+  if (!approval) {
+    throw new ValidationError(`Unknown approval request: ${id}`);
+  }
+
+  if (approval.status !== "pending") {
+    throw new ValidationError(
+      `Approval request ${id} is already ${approval.status}`
+    );
+  }
+
+  if (Date.now() >= Date.parse(approval.expiresAt)) {
+    throw new ValidationError(`Approval request ${id} has expired`);
+  }
+
+  // A deploy that died while waiting would never pick the decision up
+  if (approval.host === hostname() && !isProcessAlive(approval.pid)) {
+    await closeApproval(id, "abandoned");
+    throw new ValidationError(
+      `The deploy waiting on approval request ${id} is no longer running`
+    );
+  }
+
+  const decided = {
+    ...approval,
+    status: decision === "approve" ? "approved" : "rejected",
+    decision: { by, via, at: new Date().toISOString() },
+  };
+
+  if (reason) {
+    decided.decision.reason = reason;
+  }
+
+  await writeApproval(decided);
+  return decided;
+}
+
+export async function readApproval(id) {
+  // IDs come from the command line and HTTP requests
+  if (!/^[a-f0-9]+$/.test(id)) {
+    return null;
+  }
+
+  const file = getApprovalFile(id);
+  return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+}
+
+/**
+ * Approval requests, newest first
+ */
+export async function listApprovals({ pendingOnly = false } = {}) {
+  if (!(await fs.pathExists(PATHS.approvals))) {
+    return [];
+  }
+
+  const entries = await fs.readdir(PATHS.approvals);
+  const approvals = [];
+
+  for (const entry of entries.filter((name) => name.endsWith(".json"))) {
+    const approval = await readApproval(basename(entry, ".json"));
+    if (approval && (!pendingOnly || approval.status === "pending")) {
+      approvals.push(approval);
+    }
+  }
+
+  return approvals.sort((a, b) => b.requestedAt.localeCompare(a.requestedAt));
+}
+
+/**
+ * Name of the approver owning the bearer token in an Authorization header,
+ * or null if it matches none of APPROVAL_TOKENS
+ */
+export function authenticateApprover(authorization = "") {
+  const [scheme, token] = authorization.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+
+  const given = Buffer.from(token);
+  const match = APPROVALS.tokens.find((entry) => {
+    const expected = Buffer.from(entry.token);
+    return expected.length === given.length && timingSafeEqual(expected, given);
+  });
+
+  return match?.name || null;
+}
+
+async function closeApproval(id, status) {
+  const approval = await readApproval(id);
+
+  if (approval?.status === "pending") {
+    await writeApproval({ ...approval, status });
+  }
+}
+
+// Written to a temporary file and renamed, so a poll never reads half a file
+async function writeApproval(approval) {
+  const file = getApprovalFile(approval.id);
+
+  await fs.ensureDir(PATHS.approvals);
+  await fs.writeJson(`${file}.tmp`, approval, { spaces: 2 });
+  await fs.rename(`${file}.tmp`, file);
+}
@@ -2,6 +2,8 @@ import fs from "fs-extra";
 import path from "path";
 import { execCommand, createTempDir } from "./fileOps.js";
 import { getOctokit, getRepositoryInfo } from "./githubClient.js";
+import { GitHubError } from "./errors.js";
+import { PROJECT } from "../config.js";
 
 export async function downloadArtifactFromRun(workflowRunId, packageName) {
   const octokit = await getOctokit();
@@ -16,7 +18,7 @@ export async function downloadArtifactFromRun(workflowRunId, packageName) {
     });
 
     // Find matching artifact using partial match (package only)
-    const expectedPrefix = `tobeit69-${packageName}-`;
+    const expectedPrefix = `${PROJECT}-${packageName}-`;
     const artifact = artifacts.data.artifacts.find(
       (a) => a.name.startsWith(expectedPrefix) && a.name.endsWith(".tar.gz")
     );
@@ -25,7 +27,7 @@ export async function downloadArtifactFromRun(workflowRunId, packageName) {
       const availableArtifacts = artifacts.data.artifacts
         .map((a) => a.name)
         .join(", ");
-      throw new Error(
+      throw new GitHubError(
         `Artifact not found. Expected pattern: ${expectedPrefix}*.tar.gz, Available: ${availableArtifacts}`
       );
     }
@@ -55,7 +57,7 @@ export async function downloadArtifactFromRun(workflowRunId, packageName) {
     const tarGzFile = extractedFiles.find((f) => f.endsWith(".tar.gz"));
 
     if (!tarGzFile) {
-      throw new Error(
+      throw new GitHubError(
         `No .tar.gz file found in downloaded artifact. Files: ${extractedFiles.join(
           ", "
         )}`
@@ -66,7 +68,7 @@ export async function downloadArtifactFromRun(workflowRunId, packageName) {
 
     // Verify the artifact file exists and is readable
     if (!(await fs.pathExists(artifactPath))) {
-      throw new Error(`Artifact file not found at: ${artifactPath}`);
+      throw new GitHubError(`Artifact file not found at: ${artifactPath}`);
     }
 
     return {
@@ -79,7 +81,7 @@ export async function downloadArtifactFromRun(workflowRunId, packageName) {
       },
     };
   } catch (error) {
-    throw new Error(`Failed to download artifact: ${error.message}`);
+    throw new GitHubError(`Failed to download artifact: ${error.message}`);
   }
 }
 
@@ -0,0 +1,288 @@
+import fs from "fs-extra";
+import { basename, join } from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { createHash, createHmac } from "crypto";
+import { createTempDir } from "./fileOps.js";
+import { ValidationError } from "./errors.js";
+import { ARTIFACT_SOURCES } from "../config.js";
+
+// Remote artifact stores, matched by URI. Add an entry to support a new one.
+const SOURCES = [
+  {
+    name: "http",
+    matches: (uri) => /^https?:\/\//i.test(uri),
+    request: httpRequest,
+    missingStatuses: [404],
+  },
+  {
+    name: "s3",
+    matches: (uri) => uri.startsWith("s3://"),
+    request: s3Request,
+    // S3 answers 403 for missing keys when the caller cannot list the bucket
+    missingStatuses: [403, 404],
+  },
+];
+
+// Sidecar files verified by utils/integrity.js, fetched when present
+const SIDECARS = [".sha256", ".sig"];
+
+export function isRemoteArtifact(uri) {
+  return SOURCES.some((source) => source.matches(uri));
+}
+
+/**
+ * Streams a remote artifact (and its checksum/signature sidecars, if the
+ * store has them) into a temp dir. Remove the temp dir with
+ * cleanupArtifactDownload once the deploy is done.
+ */
+export async function downloadRemoteArtifact(uri, logger, signal = null) {
+  const source = SOURCES.find((candidate) => candidate.matches(uri));
+  if (!source) {
+    throw new ValidationError(`Unsupported artifact source: ${uri}`);
+  }
+
+  const tempDir = await createTempDir("remote-artifact-");
+  const fileName = basename(new URL(uri).pathname) || "artifact.tar.gz";
+  const artifactPath = join(tempDir, fileName);
+
+  try {
+    await downloadTo(source, uri, artifactPath, { signal });
+
+    for (const suffix of SIDECARS) {
+      const found = await downloadTo(
+        source,
+        `${uri}${suffix}`,
+        `${artifactPath}${suffix}`,
+        { optional: true, signal }
+      );
+      if (found) {
+        logger.debug(`Downloaded ${fileName}${suffix}`);
+      }
+    }
+  } catch (error) {
+    await fs.remove(tempDir);
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    throw new Error(
+      `Failed to download artifact from ${source.name}: ${error.message}`
+    );
+  }
+
+  return { artifactPath, tempDir };
+}
+
+async function downloadTo(
+  source,
+  uri,
+  filePath,
+  { optional = false, signal = null } = {}
+) {
+  const { url, headers } = source.request(uri);
+  const timeout = AbortSignal.timeout(ARTIFACT_SOURCES.timeout);
+  const response = await fetchFollowingRedirects(url, headers, {
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+
+  if (optional && source.missingStatuses.includes(response.status)) {
+    return false;
+  }
+
+  if (!response.ok) {
+    throw new Error(`GET ${redact(url)} returned ${response.status}`);
+  }
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    fs.createWriteStream(filePath)
+  );
+  return true;
+}
+
+/**
+ * GET with redirects followed by hand, so credentials meant for one origin
+ * (bearer token, S3 signature) never reach another
+ */
+async function fetchFollowingRedirects(url, headers, { signal }) {
+  let currentUrl = new URL(url);
+  let currentHeaders = headers;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetch(currentUrl, {
+      headers: currentHeaders,
+      redirect: "manual",
+      signal,
+    });
+    const location = response.headers.get("location");
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    if (redirects === ARTIFACT_SOURCES.maxRedirects) {
+      throw new Error(`Too many redirects from ${redact(url)}`);
+    }
+
+    await response.body?.cancel();
+    const nextUrl = new URL(location, currentUrl);
+    if (nextUrl.origin !== currentUrl.origin) {
+      currentHeaders = {};
+    }
+    currentUrl = nextUrl;
+  }
+}
+
+function httpRequest(uri) {
+  const headers = {};
+  if (ARTIFACT_SOURCES.httpToken && isTokenHost(new URL(uri))) {
+    headers.Authorization = `Bearer ${ARTIFACT_SOURCES.httpToken}`;
+  }
+  return { url: uri, headers };
+}
+
+// The bearer token only goes over https, to explicitly trusted hosts
+function isTokenHost(url) {
+  return (
+    url.protocol === "https:" &&
+    (ARTIFACT_SOURCES.httpTokenHosts.includes(url.hostname) ||
+      ARTIFACT_SOURCES.httpTokenHosts.includes(url.host))
+  );
+}
+
+/**
+ * Builds a SigV4-signed GET for s3://bucket/key. Requests are unsigned when
+ * no credentials are configured (public buckets).
+ */
+function s3Request(uri) {
+  const { s3 } = ARTIFACT_SOURCES;
+  const { hostname: bucket, pathname } = new URL(uri);
+  const key = pathname.replace(/^\//, "");
+
+  if (!bucket || !key) {
+    throw new ValidationError(
+      `Invalid S3 URI (expected s3://bucket/key): ${uri}`
+    );
+  }
+
+  const endpoint = new URL(
+    s3.endpoint || `https://s3.${s3.region}.amazonaws.com`
+  );
+  const url = s3.forcePathStyle
+    ? new URL(`${endpoint.origin}/${bucket}/${encodeS3Path(key)}`)
+    : new URL(
+        `${endpoint.protocol}//${bucket}.${endpoint.host}/${encodeS3Path(key)}`
+      );
+
+  if (!s3.accessKeyId || !s3.secretAccessKey) {
+    return { url: url.href, headers: {} };
+  }
+
+  const headers = signS3Request({
+    method: "GET",
+    url,
+    region: s3.region,
+    credentials: s3,
+  });
+
+  return { url: url.href, headers };
+}
+
+/**
+ * AWS Signature Version 4 for a request without a body
+ */
+function signS3Request({
+  method,
+  url,
+  region,
+  credentials,
+  headers = {},
+  date = new Date(),
+}) {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256("");
+
+  const signedHeaders = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value).trim(),
+      ])
+    ),
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (credentials.sessionToken) {
+    signedHeaders["x-amz-security-token"] = credentials.sessionToken;
+  }
+
+  const headerNames = Object.keys(signedHeaders).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    headerNames.map((name) => `${name}:${signedHeaders[name]}\n`).join(""),
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = [dateStamp, region, "s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    `AWS4${credentials.secretAccessKey}`
+  );
+  const signature = hmac(signingKey, stringToSign).toString("hex");
+
+  // fetch() sets Host itself
+  const { host: _, ...requestHeaders } = signedHeaders;
+
+  return {
+    ...requestHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${
+      credentials.accessKeyId
+    }/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+  };
+}
+
+function encodeS3Path(key) {
+  return key
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+      )
+    )
+    .join("/");
+}
+
+function canonicalQuery(searchParams) {
+  return [...searchParams]
+    .map(([name, value]) => [encodeS3Path(name), encodeS3Path(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return createHmac("sha256", key).update(value).digest();
+}
+
+function redact(url) {
+  const parsed = new URL(url);
+  parsed.search = "";
+  return parsed.href;
+}
@@ -0,0 +1,133 @@
+import fs from "fs-extra";
+import { dirname } from "path";
+import { getDeploymentPaths } from "./paths.js";
+import { updateSymlink, execCommand } from "./fileOps.js";
+import { healthCheck, getHealthCheckUrl } from "./healthCheck.js";
+import {
+  getServiceName,
+  startOrReloadService,
+  isServiceOnline,
+} from "./pm2.js";
+import {
+  getActiveColor,
+  getIdleColor,
+  getColorPort,
+  setActiveColor,
+} from "./colors.js";
+import { HealthCheckError, Pm2Error } from "./errors.js";
+import { BLUE_GREEN, PROJECT } from "../config.js";
+
+/**
+ * Starts a release on the idle colour and health-checks it (expecting
+ * `commit`) on that colour's live port. Traffic keeps flowing to the active
+ * colour until switchTraffic.
+ */
+export async function startIdleColor(
+  environment,
+  packageName,
+  releasePath,
+  commit,
+  logger
+) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const activeColor = getActiveColor(environment, packageName);
+  const color = getIdleColor(activeColor);
+  const serviceName = getServiceName(environment, packageName, color);
+  const port = getColorPort(environment, packageName, color);
+
+  logger.step(`Starting ${color} colour of ${packageName} on port ${port}`);
+
+  // Before blue/green, the single legacy service occupies the blue port
+  if (color === "blue") {
+    await removeLegacyService(environment, packageName, logger);
+  }
+
+  await updateSymlink(releasePath, paths.colors[color]);
+  await startOrReloadService(serviceName, paths.pm2Config, logger);
+
+  if (!(await isServiceOnline(serviceName))) {
+    throw new Pm2Error(`PM2 service ${serviceName} failed to start`);
+  }
+
+  const colorUrl = getHealthCheckUrl(environment, packageName, port);
+  if (!(await healthCheck(colorUrl, { packageName, commit, logger }))) {
+    throw new HealthCheckError(`Health check failed for ${colorUrl}`);
+  }
+
+  return {
+    color,
+    // The legacy service counts as blue before the first colour switch
+    previousColor: activeColor || "blue",
+    previousServiceName: activeColor
+      ? getServiceName(environment, packageName, activeColor)
+      : getServiceName(environment, packageName),
+    serviceName,
+    port,
+  };
+}
+
+/**
+ * Points the proxy upstream at a colour, reloads the proxy and records the
+ * colour as active
+ */
+export async function switchTraffic(environment, packageName, color, logger) {
+  const port = getColorPort(environment, packageName, color);
+
+  logger.step(`Switching ${packageName} traffic to ${color} (port ${port})`);
+
+  await pointUpstream(environment, packageName, color, port, logger);
+  await setActiveColor(environment, packageName, color);
+}
+
+/**
+ * Rewrites the proxy upstream of a package to a local port and reloads the
+ * proxy. `label` names the target in the generated file (a colour, or
+ * "maintenance").
+ */
+export async function pointUpstream(
+  environment,
+  packageName,
+  label,
+  port,
+  logger
+) {
+  const { proxyUpstream } = getDeploymentPaths(environment, packageName);
+
+  await fs.ensureDir(dirname(proxyUpstream));
+
+  // Write then rename so the proxy never reads a half-written file
+  const tempFile = `${proxyUpstream}.tmp`;
+  await fs.writeFile(
+    tempFile,
+    renderUpstream(environment, packageName, label, port)
+  );
+  await fs.rename(tempFile, proxyUpstream);
+
+  await execCommand(BLUE_GREEN.proxyReloadCommand);
+
+  logger.debug(`Proxy upstream updated: ${proxyUpstream}`);
+}
+
+export function renderUpstream(environment, packageName, label, port) {
+  const name = `${PROJECT}_${packageName}_${environment}`;
+  const header = `# Managed by the TobeIT69 deploy CLI - do not edit\n# Active: ${label}\n`;
+
+  if (BLUE_GREEN.proxy === "caddy") {
+    // Use with `import <project>_<package>_<env>` inside a site block
+    return `${header}(${name}) {\n\treverse_proxy 127.0.0.1:${port}\n}\n`;
+  }
+
+  // Use with `proxy_pass http://<project>_<package>_<env>;`
+  return `${header}upstream ${name} {\n    server 127.0.0.1:${port};\n}\n`;
+}
+
+async function removeLegacyService(environment, packageName, logger) {
+  const legacyServiceName = getServiceName(environment, packageName);
+
+  try {
+    await execCommand(`pm2 delete "${legacyServiceName}"`);
+    logger.debug(`Removed legacy PM2 service: ${legacyServiceName}`);
+  } catch {
+    // Not registered - nothing to remove
+  }
+}
@@ -0,0 +1,100 @@
+import { CancelledError } from "./errors.js";
+
+/**
+ * Aborts on the first SIGINT/SIGTERM so a running deploy can clean up; a
+ * second signal exits immediately. Returns the signal and a function that
+ * removes the handlers again.
+ */
+export function watchProcessSignals(logger) {
+  const controller = new AbortController();
+
+  const onSignal = (signalName) => {
+    if (controller.signal.aborted) {
+      logger.error(`Received ${signalName} again, exiting without cleanup`);
+      process.exit(130);
+    }
+
+    logger.warn(`Received ${signalName}, cancelling (repeat to force exit)`);
+    controller.abort(new CancelledError(`received ${signalName}`));
+  };
+
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+    },
+  };
+}
+
+/**
+ * Combines an optional caller signal with an overall timeout in seconds.
+ * Either one aborts with a CancelledError.
+ */
+export function createDeploySignal({ signal, timeout } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const abort = (reason) => {
+    if (!controller.signal.aborted) {
+      controller.abort(reason);
+    }
+  };
+
+  // The caller's signal may outlive this deploy (e.g. the CLI's Ctrl+C signal)
+  const onCallerAbort = () => abort(signal.reason);
+  if (signal?.aborted) {
+    abort(signal.reason);
+  }
+  signal?.addEventListener("abort", onCallerAbort, { once: true });
+
+  const seconds = Number(timeout);
+  if (seconds > 0) {
+    timer = setTimeout(
+      () => abort(new CancelledError(`timed out after ${seconds}s`)),
+      seconds * 1000
+    );
+  }
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onCallerAbort);
+    },
+  };
+}
+
+/**
+ * Rejects as soon as the signal aborts, without waiting for the promise.
+ * Work that owns child processes should also listen to the signal itself.
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Sleeps unless the signal aborts first
+ */
+export function delay(ms, signal) {
+  return abortable(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+}
@@ -0,0 +1,233 @@
+import fs from "fs-extra";
+import { createHash } from "crypto";
+import { join } from "path";
+import { listCdnAssets } from "./healthCheck.js";
+import { HealthCheckError } from "./errors.js";
+import { delay } from "./cancellation.js";
+import { CDN_HEALTH_CHECK } from "../config.js";
+
+// Asset URLs in src/href attributes of server-rendered HTML
+const ASSET_REFERENCE = /(?:src|href)=["']([^"']*\/_next\/static\/[^"']+)["']/g;
+
+/**
+ * Full CDN verification (`--cdn-verify full`). HEAD-checks every asset of
+ * the manifest, a bounded number at a time, and compares each response with
+ * the built file: Content-Length against its size and, when the CDN answers
+ * with an MD5 ETag, its hash. Then checks that the page at `pageUrl` only
+ * references assets that the CDN serves.
+ *
+ * Built files are read from the release, or from the `cdnAssetDigests` that
+ * collect-build-artifacts.sh records when static files are left out of the
+ * artifact. Returns counts plus `problems`, one `{ url, type, problem }` per
+ * missing, mismatched or off-CDN asset. Aborting `signal` stops it with the
+ * signal's reason.
+ */
+export async function verifyCdnFull(
+  metadata,
+  releasePath,
+  pageUrl,
+  logger,
+  signal = null
+) {
+  const assets = listCdnAssets(metadata);
+  const problems = [];
+
+  logger.debug(
+    `Verifying ${assets.length} CDN assets, ${CDN_HEALTH_CHECK.concurrency} at a time`
+  );
+
+  await forEachConcurrently(
+    assets,
+    CDN_HEALTH_CHECK.concurrency,
+    signal,
+    async (asset) => {
+      const problem = await verifyAsset(asset, metadata, releasePath, signal);
+      if (problem) {
+        problems.push({ url: asset.url, ...problem });
+      } else {
+        logger.debug(`✓ CDN asset verified: ${asset.file}`);
+      }
+    }
+  );
+
+  const references = await findAssetReferences(pageUrl, signal);
+  const manifestUrls = new Set(assets.map((asset) => asset.url));
+
+  for (const url of references) {
+    if (!url.startsWith(metadata.assetPrefix)) {
+      problems.push({
+        url,
+        type: "offCdn",
+        problem: `referenced by ${pageUrl} but not under ${metadata.assetPrefix}`,
+      });
+    } else if (!manifestUrls.has(url)) {
+      // Not uploaded with this build, so it has to exist from an earlier one
+      const response = await requestAsset(url, signal).catch((error) =>
+        asFailedResponse(error, signal)
+      );
+      if (!response.ok) {
+        problems.push({
+          url,
+          type: "missing",
+          problem: `referenced by ${pageUrl}, ${describeResponse(response)}`,
+        });
+      }
+    }
+  }
+
+  return {
+    assets: assets.length,
+    references: references.length,
+    missing: problems.filter((problem) => problem.type === "missing").length,
+    mismatched: problems.filter((problem) => problem.type === "mismatch")
+      .length,
+    offCdn: problems.filter((problem) => problem.type === "offCdn").length,
+    problems,
+  };
+}
+
+async function verifyAsset(asset, metadata, releasePath, signal) {
+  const response = await requestAsset(asset.url, signal).catch((error) =>
+    asFailedResponse(error, signal)
+  );
+
+  if (!response.ok) {
+    return { type: "missing", problem: describeResponse(response) };
+  }
+
+  const expected = await getBuiltFile(asset, metadata, releasePath);
+  if (!expected) {
+    return null;
+  }
+
+  // A compressed response says nothing about the size of the file
+  const length = response.headers.get("content-length");
+  const encoding = response.headers.get("content-encoding");
+  if (
+    length !== null &&
+    (!encoding || encoding === "identity") &&
+    Number(length) !== expected.size
+  ) {
+    return {
+      type: "mismatch",
+      problem: `Content-Length is ${length}, built file has ${expected.size} bytes`,
+    };
+  }
+
+  // Strong ETags of single-part uploads (S3, R2, ...) are the MD5 of the file
+  const etag = response.headers.get("etag")?.match(/^"([a-f0-9]{32})"$/i)?.[1];
+  if (etag) {
+    const md5 = await expected.md5();
+    if (md5 && etag.toLowerCase() !== md5) {
+      return {
+        type: "mismatch",
+        problem: `ETag ${etag} does not match the built file's MD5 ${md5}`,
+      };
+    }
+  }
+
+  return null;
+}
+
+// Size and MD5 of the file an asset was uploaded from, or null if unknown
+async function getBuiltFile(asset, metadata, releasePath) {
+  const path = `${asset.directory}/${asset.file}`;
+  const localFile = join(releasePath, path);
+
+  if (await fs.pathExists(localFile)) {
+    const { size } = await fs.stat(localFile);
+    return {
+      size,
+      md5: () =>
+        fs
+          .readFile(localFile)
+          .then((data) => createHash("md5").update(data).digest("hex")),
+    };
+  }
+
+  const digest = metadata.cdnAssetDigests?.[path];
+  return digest ? { size: digest.size, md5: async () => digest.md5 } : null;
+}
+
+async function requestAsset(url, signal) {
+  for (let attempt = 1; ; attempt++) {
+    const timeout = AbortSignal.timeout(CDN_HEALTH_CHECK.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: "HEAD",
+        // Ask for the file as stored, so Content-Length is its size
+        headers: { "Accept-Encoding": "identity" },
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+
+      // Only server errors are worth another try
+      if (response.status < 500 || attempt === CDN_HEALTH_CHECK.retries) {
+        return response;
+      }
+    } catch (error) {
+      if (signal?.aborted || attempt === CDN_HEALTH_CHECK.retries) {
+        throw error;
+      }
+    }
+
+    await delay(CDN_HEALTH_CHECK.interval, signal);
+  }
+}
+
+// A request that failed is a problem with the asset, unless it was cancelled
+function asFailedResponse(error, signal) {
+  signal?.throwIfAborted();
+  return { error };
+}
+
+function describeResponse(response) {
+  return response.error ? response.error.message : `HTTP ${response.status}`;
+}
+
+// Unique /_next/static URLs referenced by a page. A page that cannot be
+// fetched fails the verification; an error page would reference nothing.
+async function findAssetReferences(pageUrl, signal) {
+  const timeout = AbortSignal.timeout(CDN_HEALTH_CHECK.timeout);
+
+  let html;
+  try {
+    const response = await fetch(pageUrl, {
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    html = await response.text();
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    throw new HealthCheckError(
+      `CDN verification could not load ${pageUrl}: ${error.message}`,
+      { cause: error }
+    );
+  }
+
+  return [
+    ...new Set(
+      [...html.matchAll(ASSET_REFERENCE)].map(([, url]) =>
+        url.replaceAll("&amp;", "&")
+      )
+    ),
+  ];
+}
+
+async function forEachConcurrently(items, limit, signal, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      await task(items[next++]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+}
@@ -2,9 +2,19 @@ import fs from "fs-extra";
 import { join } from "path";
 import { getDeploymentPaths } from "./paths.js";
 import { getVersionHistory } from "./versions.js";
+import { acquireDeployLock } from "./lock.js";
 import { CLEANUP } from "../config.js";
 
-export async function cleanupDeployments(environment, packageName, logger) {
+/**
+ * Removes releases beyond the retention policy. Takes the deploy lock unless
+ * the caller says it already holds it (`locked`), e.g. at the end of a deploy.
+ */
+export async function cleanupDeployments(
+  environment,
+  packageName,
+  logger,
+  { locked = false } = {}
+) {
   const paths = getDeploymentPaths(environment, packageName);
 
   if (!(await fs.pathExists(paths.releases))) {
@@ -12,16 +22,27 @@ export async function cleanupDeployments(environment, packageName, logger) {
     return;
   }
 
-  logger.step("Cleaning up old deployments");
+  const releaseLock = locked
+    ? async () => {}
+    : await acquireDeployLock(environment, packageName, {
+        operation: "cleanup",
+        logger,
+      });
+
+  try {
+    logger.step("Cleaning up old deployments");
 
-  // Get version history to determine what to keep
-  const versionHistory = await getVersionHistory(environment, packageName);
+    // Get version history to determine what to keep
+    const versionHistory = await getVersionHistory(environment, packageName);
 
-  // Step 1: Commit-based cleanup (keep 5 recent commits based on version history)
-  await cleanupCommits(paths.releases, versionHistory, logger);
+    // Step 1: Commit-based cleanup (keep 5 recent commits based on version history)
+    await cleanupCommits(paths.releases, versionHistory, logger);
 
-  // Step 2: Attempt-based cleanup within each commit (keep 2 attempts)
-  await cleanupAttempts(paths.releases, logger);
+    // Step 2: Attempt-based cleanup within each commit (keep 2 attempts)
+    await cleanupAttempts(paths.releases, logger);
+  } finally {
+    await releaseLock();
+  }
 }
 
 async function cleanupCommits(releasesPath, versionHistory, logger) {
@@ -0,0 +1,62 @@
+import fs from "fs-extra";
+import { getDeploymentPaths } from "./paths.js";
+import { getPreviewPorts } from "./previews.js";
+import { BLUE_GREEN, PORTS, GREEN_PORTS } from "../config.js";
+
+export const COLORS = ["blue", "green"];
+
+export function isBlueGreen(environment) {
+  return BLUE_GREEN.environments.includes(environment);
+}
+
+/**
+ * Port of a package in a configured environment, or the port allocated to it
+ * in a preview environment
+ */
+export function getPort(environment, packageName) {
+  const ports = PORTS[environment] || getPreviewPorts(environment);
+  return ports?.[packageName];
+}
+
+export function getColorPort(environment, packageName, color) {
+  return color === "green"
+    ? GREEN_PORTS[environment][packageName]
+    : getPort(environment, packageName);
+}
+
+/**
+ * Returns the colour currently receiving traffic, or null before the first
+ * blue/green deployment (when the legacy service still runs on the blue port)
+ */
+export function getActiveColor(environment, packageName) {
+  const { colorState } = getDeploymentPaths(environment, packageName);
+  const state = fs.readJsonSync(colorState, { throws: false });
+  return COLORS.includes(state?.active) ? state.active : null;
+}
+
+export function getIdleColor(activeColor) {
+  return activeColor === "green" ? "blue" : "green";
+}
+
+/**
+ * Port that serves production traffic for a package, following the active
+ * colour in blue/green environments
+ */
+export function getServicePort(environment, packageName) {
+  if (!isBlueGreen(environment)) {
+    return getPort(environment, packageName);
+  }
+
+  const activeColor = getActiveColor(environment, packageName) || "blue";
+  return getColorPort(environment, packageName, activeColor);
+}
+
+export async function setActiveColor(environment, packageName, color) {
+  const { colorState } = getDeploymentPaths(environment, packageName);
+
+  await fs.writeJson(
+    colorState,
+    { active: color, updatedAt: new Date().toISOString() },
+    { spaces: 2 }
+  );
+}
@@ -0,0 +1,119 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// used to describe recurring time windows, e.g. "* * * * 6,0" for weekends.
+// Supports *, lists, ranges and steps; day of week 0 and 7 are Sunday.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Parses an expression into one set of allowed values per field. Throws an
+ * Error describing the first invalid field.
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `expected ${FIELDS.length} fields (minute hour day month weekday), got ${parts.length}`
+    );
+  }
+
+  const fields = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday can be written as 0 or 7
+  if (fields[4].values.has(7)) {
+    fields[4].values.add(0);
+  }
+
+  return fields;
+}
+
+/**
+ * Whether a moment falls in the window, evaluated in `timeZone` (an IANA
+ * name) or the server's local time
+ */
+export function matchesCron(expression, date = new Date(), timeZone) {
+  const [minute, hour, day, month, weekday] = parseCron(expression);
+  const time = getTimeParts(date, timeZone);
+
+  // As in cron, a restricted day of month and day of week match either one
+  const dayMatches =
+    day.any || weekday.any
+      ? day.values.has(time.day) && weekday.values.has(time.weekday)
+      : day.values.has(time.day) || weekday.values.has(time.weekday);
+
+  return (
+    minute.values.has(time.minute) &&
+    hour.values.has(time.hour) &&
+    month.values.has(time.month) &&
+    dayMatches
+  );
+}
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of part.split(",")) {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`invalid ${name} "${item}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === "*" ? min : Number(start);
+    const to = range === "*" ? max : Number(end ?? (step ? max : start));
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`${name} "${item}" is out of range (${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return { any: part === "*", values };
+}
+
+function getTimeParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay(),
+    };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      minute: "numeric",
+      hour: "numeric",
+      day: "numeric",
+      month: "numeric",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
@@ -0,0 +1,194 @@
+import fs from "fs-extra";
+import { join } from "path";
+import { getDeploymentPaths } from "./paths.js";
+import { execCommand, readSymlinkTarget } from "./fileOps.js";
+import { hashFile } from "./integrity.js";
+import { PATHS, DEPENDENCIES } from "../config.js";
+
+const LOCKFILE = "pnpm-lock.yaml";
+
+/**
+ * Installs production dependencies for a release. When the active or a
+ * retained release has the same lockfile, its node_modules are linked in and
+ * only verified offline; otherwise pnpm installs through the shared store.
+ * Returns what happened, for the deploy log and version history.
+ */
+export async function installDependencies(
+  releasePath,
+  environment,
+  packageName,
+  logger,
+  signal = null
+) {
+  const startedAt = Date.now();
+  const lockfileHash = await hashFile(join(releasePath, LOCKFILE));
+  const result = { cache: "miss", lockfileHash };
+
+  const donor =
+    DEPENDENCIES.reuse === "off"
+      ? null
+      : await findDonorRelease(
+          environment,
+          packageName,
+          releasePath,
+          lockfileHash
+        );
+
+  if (donor) {
+    logger.debug(`Lockfile unchanged, reusing node_modules from ${donor}`);
+
+    try {
+      await copyNodeModules(donor, releasePath, signal);
+      // Fixes up anything release-specific; fails if the copy is incomplete
+      await pnpmInstall(releasePath, ["--offline"], signal);
+      result.cache = "hit";
+      result.mode = DEPENDENCIES.reuse;
+      result.source = donor;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      logger.warn(
+        `Reusing node_modules failed, running a full install: ${error.message}`
+      );
+      await removeNodeModules(releasePath);
+    }
+  }
+
+  if (result.cache === "miss") {
+    result.mode = await installFromStore(releasePath, logger, signal);
+  }
+
+  result.durationMs = Date.now() - startedAt;
+  return result;
+}
+
+export function describeInstall(install) {
+  const seconds = (install.durationMs / 1000).toFixed(1);
+  return install.cache === "hit"
+    ? `cache hit, ${install.mode} from ${install.source} (${seconds}s)`
+    : `cache miss, ${install.mode} install (${seconds}s)`;
+}
+
+async function installFromStore(releasePath, logger, signal) {
+  if (DEPENDENCIES.offline !== "never") {
+    try {
+      await pnpmInstall(releasePath, ["--offline"], signal);
+      return "offline";
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      if (DEPENDENCIES.offline === "always") {
+        throw new Error(
+          `Offline install failed and DEPENDENCY_OFFLINE=always: ${error.message}`
+        );
+      }
+      logger.debug("Shared store is missing packages, installing online");
+      await removeNodeModules(releasePath);
+    }
+  }
+
+  await pnpmInstall(releasePath, ["--prefer-offline"], signal);
+  return "online";
+}
+
+function pnpmInstall(releasePath, flags, signal) {
+  return execCommand(
+    `cd "${releasePath}" && pnpm install --prod --frozen-lockfile --store-dir "${
+      PATHS.pnpmStore
+    }" ${flags.join(" ")}`,
+    { signal }
+  );
+}
+
+/**
+ * The active release is tried first, then retained releases newest first
+ */
+async function findDonorRelease(
+  environment,
+  packageName,
+  releasePath,
+  lockfileHash
+) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const candidates = [await readSymlinkTarget(paths.current)];
+
+  // Stray files in the releases tree are no candidates (and no reason to
+  // give up on reuse)
+  if (await fs.pathExists(paths.releases)) {
+    for (const commitDir of await listDirectories(paths.releases)) {
+      const commitPath = join(paths.releases, commitDir);
+      for (const attempt of await listDirectories(commitPath)) {
+        candidates.push(join(commitPath, attempt));
+      }
+    }
+  }
+
+  const retained = candidates.slice(1).sort((a, b) => {
+    // Attempt directories are timestamps; sort descending so newest is first
+    return b.split("/").pop().localeCompare(a.split("/").pop());
+  });
+
+  for (const candidate of [candidates[0], ...retained]) {
+    if (!candidate || candidate === releasePath) {
+      continue;
+    }
+
+    const lockfile = join(candidate, LOCKFILE);
+    if (
+      (await fs.pathExists(join(candidate, "node_modules"))) &&
+      (await fs.pathExists(lockfile)) &&
+      (await hashFile(lockfile)) === lockfileHash
+    ) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+async function listDirectories(path) {
+  const entries = await fs.readdir(path, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+/**
+ * Copies the workspace root and per-package node_modules. pnpm links
+ * packages with relative symlinks, so the copy works from its new location.
+ */
+async function copyNodeModules(sourceRelease, releasePath, signal) {
+  const flags = DEPENDENCIES.reuse === "reflink" ? "-a --reflink=auto" : "-al";
+
+  for (const dir of await listNodeModules(sourceRelease)) {
+    const target = join(releasePath, dir);
+    await fs.ensureDir(join(target, ".."));
+    await execCommand(`cp ${flags} "${join(sourceRelease, dir)}" "${target}"`, {
+      signal,
+    });
+  }
+}
+
+async function listNodeModules(releasePath) {
+  const dirs = ["node_modules"];
+  const packagesPath = join(releasePath, "packages");
+
+  if (await fs.pathExists(packagesPath)) {
+    for (const packageDir of await fs.readdir(packagesPath)) {
+      const nodeModules = join("packages", packageDir, "node_modules");
+      if (await fs.pathExists(join(releasePath, nodeModules))) {
+        dirs.push(nodeModules);
+      }
+    }
+  }
+
+  return dirs;
+}
+
+async function removeNodeModules(releasePath) {
+  for (const dir of await listNodeModules(releasePath)) {
+    await fs.remove(join(releasePath, dir));
+  }
+}
@@ -0,0 +1,513 @@
+import fs from "fs-extra";
+import { join } from "path";
+import { pathToFileURL } from "url";
+import { ValidationError } from "./errors.js";
+import { parseCron } from "./cron.js";
+
+export const CONFIG_FILES = ["deploy.config.js", "deploy.config.json"];
+
+// Used when BASE_PATH has no deploy.config file; a config file replaces
+// `packages` and `environments` wholesale and overrides the other sections
+export const DEFAULT_DEPLOY_CONFIG = {
+  project: "tobeit69",
+  packages: {
+    client: { healthPath: "/", publicHealthPath: "/" },
+    server: { healthPath: "/health", publicHealthPath: "/api/health" },
+  },
+  environments: {
+    main: {
+      ports: { client: 3000, server: 8080 },
+      greenPorts: { client: 3010, server: 8090 },
+    },
+    staging: {
+      ports: { client: 3001, server: 8081 },
+      greenPorts: { client: 3011, server: 8091 },
+    },
+    prod: {
+      ports: { client: 3002, server: 8082 },
+      greenPorts: { client: 3012, server: 8092 },
+    },
+  },
+  retention: { keepCommits: 5, keepAttempts: 2 },
+  previews: { portRange: { min: 4000, max: 4999 }, maxAgeHours: 72 },
+  notifications: {},
+};
+
+// Names end up in service names, paths and `{env}-{package}` strings
+const NAME = /^[a-z0-9_]+$/;
+
+const PORT_MAP = { type: "map", values: { type: "port" } };
+
+// A freeze is either recurring (`cron`) or a date range (`from`/`to`)
+const FREEZE = {
+  type: "object",
+  required: ["reason"],
+  properties: {
+    reason: { type: "text" },
+    cron: { type: "cron" },
+    timezone: { type: "timezone" },
+    from: { type: "date" },
+    to: { type: "date" },
+  },
+};
+
+// What a health endpoint must answer; `json` maps dotted paths to expected
+// values, "{{commit}}" standing for the commit of the release checked
+const HEALTH_SPEC = {
+  type: "object",
+  properties: {
+    method: { type: "enum", values: ["GET", "HEAD", "POST"] },
+    status: { type: "list", items: { type: "httpStatus" } },
+    headers: { type: "map", values: { type: "header" } },
+    json: { type: "map", values: { type: "scalar" } },
+    maxResponseTime: { type: "count" },
+    timeout: { type: "count" },
+  },
+};
+
+// Load probe run against the isolated test server and the live release
+// before cutover; latency increases are percentages, error rate increases
+// percentage points
+const PERF_CHECK = {
+  type: "object",
+  required: ["paths"],
+  properties: {
+    paths: { type: "list", items: { type: "path" }, nonEmpty: true },
+    requests: { type: "count" },
+    concurrency: { type: "count" },
+    warmup: { type: "integer" },
+    timeout: { type: "count" },
+    maxLatencyIncrease: { type: "count" },
+    minLatencyIncrease: { type: "integer" },
+    maxErrorRateIncrease: { type: "integer" },
+    onRegression: { type: "enum", values: ["fail", "warn"] },
+  },
+};
+
+// How long and how closely a release is watched after cutover; a breached
+// threshold rolls it back
+const WATCH = {
+  type: "object",
+  properties: {
+    duration: { type: "count" },
+    interval: { type: "count" },
+    maxRestarts: { type: "integer" },
+    maxMemoryPercent: { type: "percent" },
+    maxHealthFailures: { type: "count" },
+  },
+};
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    project: { type: "string", pattern: /^[a-z0-9][a-z0-9_-]*$/i },
+    packages: {
+      type: "map",
+      keyPattern: NAME,
+      values: {
+        type: "object",
+        properties: {
+          healthPath: { type: "path" },
+          publicHealthPath: { type: "path" },
+          health: HEALTH_SPEC,
+          perfCheck: PERF_CHECK,
+        },
+      },
+    },
+    environments: {
+      type: "map",
+      keyPattern: NAME,
+      values: {
+        type: "object",
+        required: ["ports"],
+        properties: {
+          ports: PORT_MAP,
+          greenPorts: PORT_MAP,
+          publicUrl: { type: "url" },
+          blueGreen: { type: "boolean" },
+          requireApproval: { type: "boolean" },
+          freezes: { type: "list", items: FREEZE },
+          watch: WATCH,
+        },
+      },
+    },
+    retention: {
+      type: "object",
+      properties: {
+        keepCommits: { type: "count" },
+        keepAttempts: { type: "count" },
+      },
+    },
+    previews: {
+      type: "object",
+      properties: {
+        portRange: {
+          type: "object",
+          required: ["min", "max"],
+          properties: { min: { type: "port" }, max: { type: "port" } },
+        },
+        maxAgeHours: { type: "count" },
+      },
+    },
+    notifications: {
+      type: "object",
+      properties: {
+        discord: {
+          type: "object",
+          properties: { webhookUrl: { type: "url" } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Reads deploy.config.js (default export) or deploy.config.json from the
+ * base path, falling back to the built-in defaults. `configPath` overrides
+ * the lookup. `reservedPortRanges` are named `{ min, max }` ranges used for
+ * other purposes that no configured port may fall into. Throws a
+ * ValidationError listing every problem found.
+ */
+export async function loadDeployConfig(
+  basePath,
+  { configPath, blueGreenEnvironments = [], reservedPortRanges = {} } = {}
+) {
+  const file = configPath || (await findConfigFile(basePath));
+  const declared = file ? await readConfigFile(file) : {};
+
+  const config = {
+    ...DEFAULT_DEPLOY_CONFIG,
+    ...declared,
+    retention: mergeSection("retention", declared),
+    previews: mergeSection("previews", declared),
+  };
+
+  const errors = [];
+  validate(config, SCHEMA, "", errors);
+  if (errors.length === 0) {
+    checkConsistency(config, blueGreenEnvironments, reservedPortRanges, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid deploy config ${file || "(defaults)"}:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  return { config, file };
+}
+
+function mergeSection(name, declared) {
+  // Anything but an object is left for validation to report
+  return isPlainObject(declared[name])
+    ? { ...DEFAULT_DEPLOY_CONFIG[name], ...declared[name] }
+    : (declared[name] ?? DEFAULT_DEPLOY_CONFIG[name]);
+}
+
+async function findConfigFile(basePath) {
+  for (const name of CONFIG_FILES) {
+    const file = join(basePath, name);
+    if (await fs.pathExists(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+async function readConfigFile(file) {
+  if (!(await fs.pathExists(file))) {
+    throw new ValidationError(`Deploy config not found: ${file}`);
+  }
+
+  let declared;
+  try {
+    declared = file.endsWith(".json")
+      ? JSON.parse(await fs.readFile(file, "utf8"))
+      : (await import(pathToFileURL(file).href)).default;
+  } catch (error) {
+    throw new ValidationError(
+      `Failed to read deploy config ${file}: ${error.message}`
+    );
+  }
+
+  if (!isPlainObject(declared)) {
+    throw new ValidationError(
+      `Deploy config ${file} must ${
+        file.endsWith(".json") ? "contain" : "export default"
+      } an object`
+    );
+  }
+
+  return declared;
+}
+
+function validate(value, schema, path, errors) {
+  const at = path || "config";
+
+  switch (schema.type) {
+    case "object":
+    case "map":
+      if (!isPlainObject(value)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      break;
+    case "list":
+      if (!Array.isArray(value)) {
+        errors.push(`${at}: must be a list`);
+        return;
+      }
+      if (schema.nonEmpty && value.length === 0) {
+        errors.push(`${at}: must list at least one entry`);
+        return;
+      }
+      value.forEach((item, index) =>
+        validate(item, schema.items, `${path}[${index}]`, errors)
+      );
+      return;
+    case "string":
+      if (typeof value !== "string" || !schema.pattern.test(value)) {
+        errors.push(`${at}: must be a name matching ${schema.pattern}`);
+      }
+      return;
+    case "enum":
+      if (!schema.values.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.values.join(", ")}`);
+      }
+      return;
+    case "httpStatus":
+      if (!Number.isInteger(value) || value < 100 || value > 599) {
+        errors.push(`${at}: must be an HTTP status code (100-599)`);
+      }
+      return;
+    case "header":
+      if (typeof value !== "string") {
+        errors.push(`${at}: must be a string ("" only requires the header)`);
+      }
+      return;
+    case "scalar":
+      if (value !== null && typeof value === "object") {
+        errors.push(`${at}: must be a string, number, boolean or null`);
+      }
+      return;
+    case "text":
+      if (typeof value !== "string" || value.trim() === "") {
+        errors.push(`${at}: must be a non-empty string`);
+      }
+      return;
+    case "cron":
+      try {
+        parseCron(value);
+      } catch (error) {
+        errors.push(`${at}: invalid cron expression: ${error.message}`);
+      }
+      return;
+    case "timezone":
+      if (!isTimeZone(value)) {
+        errors.push(`${at}: must be an IANA time zone (e.g. Asia/Bangkok)`);
+      }
+      return;
+    case "date":
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+        errors.push(`${at}: must be an ISO date (YYYY-MM-DD) or timestamp`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") {
+        errors.push(`${at}: must be true or false`);
+      }
+      return;
+    case "port":
+      if (!Number.isInteger(value) || value < 1 || value > 65535) {
+        errors.push(`${at}: must be a port number (1-65535)`);
+      }
+      return;
+    case "count":
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push(`${at}: must be a positive integer`);
+      }
+      return;
+    case "integer":
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${at}: must be a non-negative integer`);
+      }
+      return;
+    case "percent":
+      if (!Number.isInteger(value) || value < 1 || value > 100) {
+        errors.push(`${at}: must be a percentage (1-100)`);
+      }
+      return;
+    case "path":
+      if (typeof value !== "string" || !value.startsWith("/")) {
+        errors.push(`${at}: must be a path starting with "/"`);
+      }
+      return;
+    case "url":
+      if (typeof value !== "string" || !URL.canParse(value)) {
+        errors.push(`${at}: must be an absolute URL`);
+      }
+      return;
+  }
+
+  if (schema.type === "map") {
+    if (Object.keys(value).length === 0) {
+      errors.push(`${at}: must define at least one entry`);
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      if (schema.keyPattern && !schema.keyPattern.test(key)) {
+        errors.push(
+          `${at}: "${key}" is not a valid name (lowercase letters, digits, _)`
+        );
+      }
+      validate(entry, schema.values, `${path ? `${path}.` : ""}${key}`, errors);
+    }
+    return;
+  }
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push(`${at}.${key}: is required`);
+    }
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    const keyPath = `${path ? `${path}.` : ""}${key}`;
+    if (!schema.properties[key]) {
+      errors.push(`${keyPath}: unknown key`);
+    } else if (entry !== undefined) {
+      validate(entry, schema.properties[key], keyPath, errors);
+    }
+  }
+}
+
+/**
+ * Rules the schema cannot express: every environment has a port per package,
+ * blue/green environments have green ports, no two services share a port,
+ * no service port falls into the preview range or a reserved range (and the
+ * preview range does not overlap a reserved one), every freeze is
+ * either a cron window or a date range and HEAD health checks have no body
+ * to assert on
+ */
+function checkConsistency(
+  config,
+  blueGreenEnvironments,
+  reservedPortRanges,
+  errors
+) {
+  const packages = Object.keys(config.packages);
+  const portOwners = new Map();
+  const previewPorts = config.previews.portRange;
+  const portRanges = [
+    ["previews.portRange", previewPorts],
+    ...Object.entries(reservedPortRanges),
+  ];
+
+  if (previewPorts.min > previewPorts.max) {
+    errors.push("previews.portRange: min must not be greater than max");
+  }
+
+  for (const [name, range] of Object.entries(reservedPortRanges)) {
+    if (previewPorts.min <= range.max && range.min <= previewPorts.max) {
+      errors.push(
+        `previews.portRange: ${previewPorts.min}-${previewPorts.max} overlaps ${name} ${range.min}-${range.max}`
+      );
+    }
+  }
+
+  for (const [packageName, settings] of Object.entries(config.packages)) {
+    if (settings.health?.method === "HEAD" && settings.health.json) {
+      errors.push(
+        `packages.${packageName}.health.json: HEAD responses have no body`
+      );
+    }
+  }
+
+  for (const environment of blueGreenEnvironments) {
+    if (!config.environments[environment]) {
+      errors.push(
+        `BLUE_GREEN_ENVIRONMENTS: unknown environment "${environment}"`
+      );
+    }
+  }
+
+  for (const [environment, settings] of Object.entries(config.environments)) {
+    (settings.freezes || []).forEach((freeze, index) => {
+      const at = `environments.${environment}.freezes[${index}]`;
+
+      if (freeze.cron && (freeze.from || freeze.to)) {
+        errors.push(`${at}: use either cron or from/to, not both`);
+      } else if (!freeze.cron && !(freeze.from && freeze.to)) {
+        errors.push(`${at}: needs a cron expression or both from and to`);
+      } else if (
+        freeze.from &&
+        Date.parse(freeze.from) > Date.parse(freeze.to)
+      ) {
+        errors.push(`${at}: from must not be after to`);
+      }
+    });
+
+    const blueGreen =
+      settings.blueGreen || blueGreenEnvironments.includes(environment);
+    const portSets = blueGreen
+      ? [
+          ["ports", settings.ports],
+          ["greenPorts", settings.greenPorts],
+        ]
+      : [["ports", settings.ports]];
+
+    for (const [key, ports] of portSets) {
+      if (!ports) {
+        errors.push(
+          `environments.${environment}.${key}: is required for blue/green environments`
+        );
+        continue;
+      }
+
+      for (const packageName of packages) {
+        const port = ports[packageName];
+        const at = `environments.${environment}.${key}.${packageName}`;
+
+        const range = portRanges.find(
+          ([, { min, max }]) => port >= min && port <= max
+        );
+
+        if (port === undefined) {
+          errors.push(`${at}: is required`);
+        } else if (range) {
+          errors.push(
+            `${at}: port ${port} is in ${range[0]} (${range[1].min}-${range[1].max})`
+          );
+        } else if (portOwners.has(port)) {
+          errors.push(
+            `${at}: port ${port} is also used by ${portOwners.get(port)}`
+          );
+        } else {
+          portOwners.set(port, at);
+        }
+      }
+
+      for (const packageName of Object.keys(ports)) {
+        if (!packages.includes(packageName)) {
+          errors.push(
+            `environments.${environment}.${key}.${packageName}: unknown package`
+          );
+        }
+      }
+    }
+  }
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return typeof value === "string";
+  } catch {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -26,7 +26,11 @@ export async function updateDeploymentStatus(
     };
 
     if (description) {
-      payload.description = description;
+      // GitHub rejects descriptions over 140 characters
+      payload.description =
+        description.length > 140
+          ? `${description.substring(0, 137)}...`
+          : description;
     }
 
     // Set appropriate default descriptions
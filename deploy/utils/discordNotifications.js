@@ -6,6 +6,12 @@ const STATUS_COLORS = {
   success: 0x2ecc71, // Green
   failure: 0xe74c3c, // Red
   in_progress: 0xf39c12, // Orange
+  cancelled: 0x95a5a6, // Grey
+  freeze_override: 0x9b59b6, // Purple
+  approval_requested: 0x3498db, // Blue
+  maintenance_on: 0xf1c40f, // Yellow
+  maintenance_off: 0x2ecc71, // Green
+  health_check_skipped: 0xe67e22, // Dark orange
 };
 
 const STATUS_EMOJIS = {
@@ -13,6 +19,12 @@ const STATUS_EMOJIS = {
   success: "✅",
   failure: "❌",
   in_progress: "⚡",
+  cancelled: "🛑",
+  freeze_override: "🧊",
+  approval_requested: "⏸️",
+  maintenance_on: "🚧",
+  maintenance_off: "✅",
+  health_check_skipped: "⚠️",
 };
 
 export async function sendDiscordNotification(status, options = {}) {
@@ -28,9 +40,14 @@ export async function sendDiscordNotification(status, options = {}) {
     error,
     deploymentId,
     versionInfo,
+    revert,
     workflowRunId,
     isLocalArtifact = false,
     triggerSource = "manual", // "webhook", "manual"
+    message,
+    freezeOverride,
+    approval,
+    smokeTests,
   } = options;
 
   try {
@@ -41,9 +58,14 @@ export async function sendDiscordNotification(status, options = {}) {
       error,
       deploymentId,
       versionInfo,
+      revert,
       workflowRunId,
       isLocalArtifact,
       triggerSource,
+      message,
+      freezeOverride,
+      approval,
+      smokeTests,
     });
 
     const payload = {
@@ -81,9 +103,14 @@ function createEmbed(status, options) {
     error,
     deploymentId,
     versionInfo,
+    revert,
     workflowRunId,
     isLocalArtifact,
     triggerSource,
+    message,
+    freezeOverride,
+    approval,
+    smokeTests,
   } = options;
 
   const emoji = STATUS_EMOJIS[status] || "📦";
@@ -117,17 +144,103 @@ function createEmbed(status, options) {
     case "failure":
       embed.title = `${emoji} Deployment Failed`;
       embed.description = `Failed to deploy **${packageName}** to **${environment}**`;
+      if (revert?.healthy) {
+        embed.title = `${emoji} Deployment Failed, Auto-Reverted`;
+        embed.description += `, auto-reverted to \`${revert.revertedTo}\``;
+      }
+      embed.fields = [];
+      if (error) {
+        embed.fields.push({
+          name: "Error",
+          value: `\`\`\`${
+            error.length > 1000 ? error.substring(0, 997) + "..." : error
+          }\`\`\``,
+          inline: false,
+        });
+      }
+      if (revert) {
+        embed.fields.push({
+          name: "Auto-Revert",
+          value: revert.healthy
+            ? `✅ Restored \`${revert.revertedTo}\``
+            : `⚠️ Revert to \`${revert.revertedTo}\` unhealthy: ${revert.error}`,
+          inline: false,
+        });
+      }
+      break;
+
+    case "cancelled":
+      embed.title = `${emoji} Deployment Cancelled`;
+      embed.description = `Cancelled deployment of **${packageName}** to **${environment}**`;
+      embed.fields = [];
       if (error) {
-        embed.fields = [
-          {
-            name: "Error",
-            value: `\`\`\`${
-              error.length > 1000 ? error.substring(0, 997) + "..." : error
-            }\`\`\``,
-            inline: false,
-          },
-        ];
+        embed.fields.push({ name: "Reason", value: error, inline: false });
       }
+      if (revert) {
+        embed.fields.push({
+          name: "Auto-Revert",
+          value: revert.healthy
+            ? `✅ Restored \`${revert.revertedTo}\``
+            : `⚠️ Revert to \`${revert.revertedTo}\` unhealthy: ${revert.error}`,
+          inline: false,
+        });
+      }
+      break;
+
+    case "freeze_override":
+      embed.title = `${emoji} Deploy Freeze Overridden`;
+      embed.description = `Deploying **${packageName}** to **${environment}** during a freeze window`;
+      embed.fields = [
+        { name: "Freeze", value: freezeOverride.freeze, inline: false },
+        {
+          name: "Reason",
+          value: `${freezeOverride.reason} (by ${freezeOverride.by})`,
+          inline: false,
+        },
+      ];
+      break;
+
+    case "approval_requested":
+      embed.title = `${emoji} Deployment Awaiting Approval`;
+      embed.description = `**${packageName}** passed its isolated health check and is waiting for approval before going live in **${environment}**`;
+      embed.fields = [
+        {
+          name: "Approve",
+          value: `\`deploy approve ${approval.id}\``,
+          inline: true,
+        },
+        {
+          name: "Reject",
+          value: `\`deploy reject ${approval.id}\``,
+          inline: true,
+        },
+        {
+          name: "Expires",
+          value: `<t:${Math.floor(Date.parse(approval.expiresAt) / 1000)}:R>`,
+          inline: true,
+        },
+      ];
+      break;
+
+    case "maintenance_on":
+      embed.title = `${emoji} Maintenance Mode On`;
+      embed.description = `**${packageName}** in **${environment}** is serving the maintenance page`;
+      embed.fields = message
+        ? [{ name: "Message", value: message, inline: false }]
+        : [];
+      break;
+
+    case "maintenance_off":
+      embed.title = `${emoji} Maintenance Mode Off`;
+      embed.description = `**${packageName}** in **${environment}** passed its health check and is back`;
+      break;
+
+    case "health_check_skipped":
+      embed.title = `${emoji} Rollback Health Check Skipped`;
+      embed.description = `Rolling back **${packageName}** in **${environment}** without an isolated health check`;
+      embed.fields = message
+        ? [{ name: "Details", value: message, inline: false }]
+        : [];
       break;
 
     default:
@@ -173,6 +286,23 @@ function createEmbed(status, options) {
     });
   }
 
+  // One field per run, each check with its timing
+  for (const run of smokeTests || []) {
+    const lines = run.checks.map(
+      (check) =>
+        `${check.passed ? "✅" : "❌"} ${check.name} - ${check.durationMs}ms${
+          check.error ? `: ${check.error}` : ""
+        }`
+    );
+    const value = lines.join("\n");
+
+    embed.fields.push({
+      name: `Smoke Tests (${run.phase})`,
+      value: value.length > 1024 ? value.substring(0, 1021) + "..." : value,
+      inline: false,
+    });
+  }
+
   if (deploymentId) {
     embed.fields.push({
       name: "Deployment ID",
@@ -1,5 +1,6 @@
 import fs from "fs-extra";
 import { join } from "path";
+import { ValidationError } from "./errors.js";
 import { PATHS } from "../config.js";
 
 /**
@@ -29,7 +30,7 @@ export async function copyEnvironmentFile(
 
   // Check if source environment file exists
   if (!(await fs.pathExists(sourceEnvFile))) {
-    throw new Error(`Environment file not found: ${sourceEnvFile}`);
+    throw new ValidationError(`Environment file not found: ${sourceEnvFile}`);
   }
 
   // Ensure target directory exists
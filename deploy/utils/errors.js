@@ -0,0 +1,96 @@
+// Process exit codes by failure class. Wrapper scripts rely on these, so
+// only ever add new codes.
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1, // Anything not classified below
+  validation: 2, // Options, artifact, metadata, integrity, env files
+  healthCheck: 3, // Isolated, production, CDN or public URL health check
+  pm2: 4, // PM2 service could not be started or is not online
+  github: 5, // GitHub API or Actions artifact download
+  lock: 6, // Deploy lock held by another process
+  freeze: 7, // Environment is in a freeze window and no override was given
+  approval: 8, // Deploy approval was rejected or expired
+  cancelled: 130, // Ctrl+C, SIGTERM or --timeout
+};
+
+export class DeployError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+
+  get type() {
+    return "failure";
+  }
+
+  get exitCode() {
+    return EXIT_CODES[this.type];
+  }
+}
+
+export class ValidationError extends DeployError {
+  get type() {
+    return "validation";
+  }
+}
+
+export class HealthCheckError extends DeployError {
+  get type() {
+    return "healthCheck";
+  }
+}
+
+export class Pm2Error extends DeployError {
+  get type() {
+    return "pm2";
+  }
+}
+
+export class GitHubError extends DeployError {
+  get type() {
+    return "github";
+  }
+}
+
+export class LockError extends DeployError {
+  get type() {
+    return "lock";
+  }
+}
+
+export class FreezeError extends DeployError {
+  get type() {
+    return "freeze";
+  }
+}
+
+export class ApprovalError extends DeployError {
+  get type() {
+    return "approval";
+  }
+}
+
+export class CancelledError extends DeployError {
+  constructor(reason) {
+    super(`Deployment cancelled: ${reason}`);
+  }
+
+  get type() {
+    return "cancelled";
+  }
+}
+
+export function getExitCode(error) {
+  return error instanceof DeployError ? error.exitCode : EXIT_CODES.failure;
+}
+
+/**
+ * Error shape used in --json output
+ */
+export function serializeError(error) {
+  return {
+    type: error instanceof DeployError ? error.type : "failure",
+    message: error.message,
+    exitCode: getExitCode(error),
+  };
+}
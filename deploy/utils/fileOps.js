@@ -1,13 +1,19 @@
 import fs from "fs-extra";
-import { exec } from "child_process";
-import { promisify } from "util";
+import { exec, spawn } from "child_process";
+import { promisify, isDeepStrictEqual } from "util";
 import * as tar from "tar";
 import { tmpdir } from "os";
 import { join } from "path";
+import { ValidationError } from "./errors.js";
 
 const execAsync = promisify(exec);
 
-export async function extractArtifact(artifactPath, targetDir) {
+/**
+ * Extracts an artifact into a directory. When the metadata read earlier is
+ * passed, the extracted metadata.json must match it, so the release is
+ * guaranteed to be the artifact that was validated.
+ */
+export async function extractArtifact(artifactPath, targetDir, expectedMetadata = null) {
   await fs.ensureDir(targetDir);
 
   await tar.extract({
@@ -15,6 +21,17 @@ export async function extractArtifact(artifactPath, targetDir) {
     cwd: targetDir,
     strip: 0,
   });
+
+  if (expectedMetadata) {
+    const metadataPath = join(targetDir, "metadata.json");
+    const extracted = await fs.readJson(metadataPath, { throws: false });
+
+    if (!isDeepStrictEqual(extracted, expectedMetadata)) {
+      throw new ValidationError(
+        `Extracted metadata.json does not match the metadata read from ${artifactPath}`
+      );
+    }
+  }
 }
 
 export async function createTempDir(prefix = "deploy-") {
@@ -27,20 +44,64 @@ export async function createTempDir(prefix = "deploy-") {
 }
 
 export async function readMetadata(artifactPath) {
-  const tempDir = await createTempDir("metadata-");
+  const files = await readArtifactFiles(artifactPath, ["metadata.json"]);
+  const content = files["metadata.json"];
+
+  if (content === null) {
+    throw new ValidationError(`Artifact missing metadata.json: ${artifactPath}`);
+  }
 
   try {
-    await extractArtifact(artifactPath, tempDir);
-    const metadataPath = join(tempDir, "metadata.json");
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`Artifact metadata.json is not valid JSON: ${error.message}`);
+  }
+}
 
-    if (!(await fs.pathExists(metadataPath))) {
-      throw new Error("Artifact missing metadata.json");
-    }
+/**
+ * Reads top-level files of an artifact by streaming the tarball, without
+ * writing to disk. Stops once every file has been seen and returns their
+ * contents by name (null when the artifact does not contain the file).
+ */
+export function readArtifactFiles(artifactPath, fileNames) {
+  return new Promise((resolve, reject) => {
+    const files = Object.fromEntries(fileNames.map((name) => [name, null]));
+    let remaining = fileNames.length;
 
-    return await fs.readJson(metadataPath);
-  } finally {
-    await fs.remove(tempDir);
-  }
+    const input = fs.createReadStream(artifactPath);
+    const parser = new tar.Parser({
+      strict: true,
+      onReadEntry: (entry) => {
+        const name = entry.path.replace(/^\.\//, "");
+
+        if (entry.type !== "File" || !Object.hasOwn(files, name)) {
+          entry.resume();
+          return;
+        }
+
+        const chunks = [];
+        entry.on("data", (chunk) => chunks.push(chunk));
+        entry.on("end", () => {
+          files[name] = Buffer.concat(chunks).toString("utf8");
+          remaining--;
+
+          // No need to decompress the rest of the artifact
+          if (remaining === 0) {
+            input.destroy();
+            resolve(files);
+          }
+        });
+      },
+    });
+
+    input.on("error", reject);
+    parser.on("error", (error) =>
+      reject(new Error(`Failed to read artifact ${artifactPath}: ${error.message}`))
+    );
+    parser.on("end", () => resolve(files));
+
+    input.pipe(parser);
+  });
 }
 
 export async function updateSymlink(target, linkPath) {
@@ -72,7 +133,62 @@ export async function updateSymlink(target, linkPath) {
   }
 }
 
-export async function execCommand(command) {
+export async function readSymlinkTarget(linkPath) {
+  try {
+    return await fs.readlink(linkPath);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "EINVAL") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export async function execCommand(command, { signal } = {}) {
+  if (signal) {
+    return execCancellable(command, signal);
+  }
+
   const { stdout, stderr } = await execAsync(command);
   return { stdout: stdout.trim(), stderr: stderr.trim() };
 }
+
+/**
+ * Runs a shell command in its own process group, so aborting kills the
+ * whole tree (e.g. pnpm and its children), not just the shell
+ */
+function execCancellable(command, signal) {
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      detached: true,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (data) => (stdout += data));
+    child.stderr.on("data", (data) => (stderr += data));
+
+    const onAbort = () => {
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch {}
+      reject(signal.reason);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+      signal.removeEventListener("abort", onAbort);
+
+      if (code === 0) {
+        resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
+      } else {
+        reject(new Error(`Command failed: ${command}\n${stderr.trim()}`));
+      }
+    });
+  });
+}
@@ -0,0 +1,72 @@
+import { matchesCron } from "./cron.js";
+import { getUserName } from "./identity.js";
+import { FreezeError } from "./errors.js";
+import { DEPLOY_CONFIG } from "../config.js";
+
+/**
+ * The first freeze window of an environment that covers `now`, or null.
+ * Environments not in deploy.config (previews) are never frozen.
+ */
+export function getActiveFreeze(environment, now = new Date()) {
+  const freezes = DEPLOY_CONFIG.environments[environment]?.freezes || [];
+
+  return (
+    freezes.find((freeze) =>
+      freeze.cron
+        ? matchesCron(freeze.cron, now, freeze.timezone)
+        : now >= parseBoundary(freeze.from) &&
+          now < parseBoundary(freeze.to, { endOfDay: true })
+    ) || null
+  );
+}
+
+export function describeFreeze(environment, freeze) {
+  const window = freeze.cron
+    ? `cron "${freeze.cron}"${freeze.timezone ? ` ${freeze.timezone}` : ""}`
+    : `until ${parseBoundary(freeze.to, { endOfDay: true }).toLocaleString()}`;
+
+  return `${environment} is frozen: ${freeze.reason} (${window})`;
+}
+
+/**
+ * Throws a FreezeError while the environment is frozen, unless the caller
+ * passed `overrideFreeze` with a `reason`. Returns the override record to
+ * keep in version history, or null when nothing was frozen.
+ */
+export function enforceFreeze(environment, { overrideFreeze, reason } = {}) {
+  const freeze = getActiveFreeze(environment);
+
+  if (!freeze) {
+    return null;
+  }
+
+  if (!overrideFreeze) {
+    throw new FreezeError(
+      `${describeFreeze(
+        environment,
+        freeze
+      )}. Use --override-freeze --reason "..." to deploy anyway.`
+    );
+  }
+
+  return {
+    freeze: freeze.reason,
+    reason,
+    by: getUserName(),
+    at: new Date().toISOString(),
+  };
+}
+
+// Date-only values are days in the server's local time; `to` includes the
+// whole day. Anything else is parsed as a timestamp.
+function parseBoundary(value, { endOfDay = false } = {}) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(value);
+  }
+
+  const date = new Date(`${value}T00:00:00`);
+  if (endOfDay) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+}
@@ -1,6 +1,7 @@
 import { App, Octokit } from "octokit";
 import fs from "fs";
 import path from "path";
+import { GitHubError } from "./errors.js";
 
 let githubAppInstance = null;
 let octokitInstance = null;
@@ -14,7 +15,7 @@ function createGitHubApp() {
   const privateKeyPath = process.env.PRIVATE_KEY_PATH;
 
   if (!appId || !privateKeyPath) {
-    throw new Error(
+    throw new GitHubError(
       "GitHub App credentials not configured. Set APP_ID and PRIVATE_KEY_PATH environment variables."
     );
   }
@@ -23,7 +24,7 @@ function createGitHubApp() {
   try {
     privateKey = fs.readFileSync(path.resolve(privateKeyPath), "utf8");
   } catch (error) {
-    throw new Error(
+    throw new GitHubError(
       `Failed to read GitHub App private key from ${privateKeyPath}: ${error.message}`
     );
   }
@@ -48,7 +49,7 @@ export async function getOctokit() {
   const installationId = process.env.APP_INSTALLATION_ID;
 
   if (!installationId) {
-    throw new Error(
+    throw new GitHubError(
       "GitHub App installation ID not configured. Set APP_INSTALLATION_ID environment variable."
     );
   }
@@ -59,7 +60,7 @@ export async function getOctokit() {
     );
     return octokitInstance;
   } catch (error) {
-    throw new Error(
+    throw new GitHubError(
       `Failed to authenticate GitHub App with installation ID ${installationId}: ${error.message}`
     );
   }
@@ -112,6 +113,8 @@ export async function createDeployment({
 
     return response.data;
   } catch (error) {
-    throw new Error(`Failed to create GitHub deployment: ${error.message}`);
+    throw new GitHubError(
+      `Failed to create GitHub deployment: ${error.message}`
+    );
   }
 }
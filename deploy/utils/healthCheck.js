@@ -1,11 +1,16 @@
 import { spawn } from "child_process";
+import { connect } from "net";
 import {
   HEALTH_CHECK,
-  PORTS,
   CDN_HEALTH_CHECK,
   PUBLIC_HEALTH_CHECK,
   PUBLIC_URLS,
+  HEALTH_PATHS,
+  HEALTH_SPECS,
 } from "../config.js";
+import { getServicePort } from "./colors.js";
+import { delay } from "./cancellation.js";
+import { HealthCheckError } from "./errors.js";
 
 export async function findAvailablePort(
   min = HEALTH_CHECK.portRange.min,
@@ -32,87 +37,428 @@ export async function findAvailablePort(
   });
 }
 
-export async function startTestServer(packagePath, port, env = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn("npm", ["start"], {
-      cwd: packagePath,
-      env: { ...process.env, PORT: port.toString(), ...env },
-      stdio: "pipe",
-      detached: true, // Create new process group
-    });
+// Log lines that suggest a server is up. They only trigger an early port
+// probe; readiness is decided by the port accepting connections.
+const READY_HINTS = [/ready/i, /listening/i, /started/i, /server running/i];
 
-    let started = false;
-    const timeout = setTimeout(() => {
-      if (!started) {
-        // Kill entire process group to ensure npm and its children are terminated
-        process.kill(-child.pid, "SIGTERM");
-        reject(
-          new Error(`Server failed to start within ${HEALTH_CHECK.timeout}ms`)
+/**
+ * Runs `npm start` in a package on `port` and waits until the port accepts
+ * TCP connections, probing with backoff until `deadline`. Output is captured
+ * rather than printed: the returned child exposes it as `getOutput()`, and a
+ * failed start throws a HealthCheckError carrying it as `output`.
+ */
+export async function startTestServer(
+  packagePath,
+  port,
+  { env = {}, signal = null, deadline = Date.now() + HEALTH_CHECK.timeout } = {}
+) {
+  signal?.throwIfAborted();
+
+  const startedAt = Date.now();
+  const child = spawn("npm", ["start"], {
+    cwd: packagePath,
+    env: { ...process.env, PORT: port.toString(), ...env },
+    stdio: "pipe",
+    detached: true, // Create new process group
+  });
+
+  let output = "";
+  let exitReason = null;
+  let wakeUp = () => {};
+
+  const capture = (data) => {
+    // Keep the last lines only; a chatty server must not grow this forever
+    output = (output + data)
+      .split("\n")
+      .slice(-HEALTH_CHECK.outputLines - 1)
+      .join("\n");
+  };
+
+  child.getOutput = () => output.trim();
+
+  child.stdout.on("data", (data) => {
+    capture(data);
+    if (READY_HINTS.some((hint) => hint.test(data.toString()))) {
+      wakeUp();
+    }
+  });
+  child.stderr.on("data", capture);
+
+  child.on("error", (error) => {
+    exitReason = `failed to start: ${error.message}`;
+    wakeUp();
+  });
+  child.on("exit", (code, exitSignal) => {
+    exitReason = `exited with ${
+      exitSignal ? `signal ${exitSignal}` : `code ${code}`
+    }`;
+    wakeUp();
+  });
+
+  // A cancelled deploy must not leave the detached server behind. Only
+  // needed while waiting here; stopping the server is up to the caller.
+  const onAbort = () => wakeUp();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    for (
+      let wait = HEALTH_CHECK.backoff.initial;
+      ;
+      wait = Math.min(wait * 2, HEALTH_CHECK.backoff.max)
+    ) {
+      if (exitReason) {
+        throw new HealthCheckError(
+          `Test server ${exitReason} before listening on port ${port}`
         );
       }
-    }, HEALTH_CHECK.timeout);
-
-    child.stdout.on("data", (data) => {
-      const output = data.toString().toLowerCase();
-      console.log(`[STDOUT] ${data.toString().trim()}`);
-      if (
-        output.includes("ready") ||
-        output.includes("listening") ||
-        output.includes("started") ||
-        output.includes("server running") ||
-        output.includes(`http://localhost:${port}`) ||
-        output.includes(`:${port}`)
-      ) {
-        if (!started) {
-          started = true;
-          clearTimeout(timeout);
-          resolve(child);
-        }
+
+      if (await isPortOpen(port)) {
+        return child;
       }
-    });
 
-    child.stderr.on("data", (data) => {
-      console.log(`[STDERR] ${data.toString().trim()}`);
+      if (Date.now() >= deadline) {
+        throw new HealthCheckError(
+          `Test server did not listen on port ${port} within ${
+            deadline - startedAt
+          }ms`
+        );
+      }
+
+      // Sleep until the next probe, a ready-looking log line or an exit
+      await new Promise((resolve) => {
+        const timer = setTimeout(
+          resolve,
+          Math.min(wait, deadline - Date.now())
+        );
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = () => {};
+      signal?.throwIfAborted();
+    }
+  } catch (error) {
+    if (!exitReason) {
+      // Kill entire process group to ensure npm and its children are terminated
+      try {
+        process.kill(-child.pid, "SIGTERM");
+      } catch {}
+    }
+
+    error.output = child.getOutput();
+    throw error;
+  } finally {
+    // The signal may outlive many test servers (every target of a deploy)
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Starts a release's package on a spare port, waits until it passes the
+ * package's health spec, then runs `checks(testPort)` (smoke tests and the
+ * like) against it and stops the server. Starting up and passing the health
+ * check share one deadline. A failure logs the server's last output, which
+ * HealthCheckErrors also carry as `output`.
+ */
+export async function runIsolatedHealthCheck(
+  packagePath,
+  { environment, packageName, commit, logger, signal = null },
+  checks = async () => {}
+) {
+  const testPort = await findAvailablePort();
+  logger.debug(`Using port ${testPort} for health check`);
+
+  const deadline = Date.now() + HEALTH_CHECK.timeout;
+
+  let testServer;
+  try {
+    testServer = await startTestServer(packagePath, testPort, {
+      env: { NODE_ENV: "production" },
+      signal,
+      deadline,
+    });
+    logger.debug(`Test server listening on port ${testPort}`);
+
+    // Probe until the server has warmed up, instead of sleeping a fixed time
+    const healthUrl = getHealthCheckUrl(environment, packageName, testPort);
+    const isHealthy = await waitForHealthy(healthUrl, {
+      packageName,
+      commit,
+      deadline,
+      logger,
+      signal,
     });
 
-    child.on("error", (error) => {
-      clearTimeout(timeout);
-      reject(error);
+    if (!isHealthy) {
+      throw new HealthCheckError(`Health check failed for ${healthUrl}`);
+    }
+
+    logger.debug("Health check passed");
+    await checks(testPort);
+  } catch (error) {
+    if (error instanceof HealthCheckError && !error.output && testServer) {
+      error.output = testServer.getOutput();
+    }
+    if (error.output) {
+      logger.error(`Test server output:\n${error.output}`);
+    }
+    throw error;
+  } finally {
+    if (testServer) {
+      await stopTestServer(testServer, logger);
+    }
+  }
+}
+
+// Terminates the test server's whole process group (npm and its children),
+// force-killing it if it is still around after 10 seconds
+async function stopTestServer(testServer, logger) {
+  if (testServer.exitCode !== null || testServer.signalCode) {
+    return;
+  }
+
+  const exited = new Promise((resolve) => {
+    const forceTimeout = setTimeout(() => {
+      try {
+        process.kill(-testServer.pid, "SIGKILL");
+      } catch {}
+      logger.debug("Test server force killed");
+      resolve();
+    }, 10_000);
+    testServer.on("exit", () => {
+      logger.debug("Test server terminated");
+      clearTimeout(forceTimeout);
+      resolve();
     });
+  });
+
+  logger.debug("Sending signal to terminate test server...");
+  process.kill(-testServer.pid, "SIGTERM");
+
+  await exited;
+}
 
-    child.on("exit", (code) => {
-      clearTimeout(timeout);
-      if (!started) {
-        reject(new Error(`Server exited with code ${code}`));
+function isPortOpen(port) {
+  return new Promise((resolve) => {
+    const socket = connect({ port, host: "localhost" });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+
+    socket.setTimeout(HEALTH_CHECK.backoff.max, () => done(false));
+    socket.once("connect", () => done(true));
+    socket.once("error", () => done(false));
+  });
+}
+
+/**
+ * Checks a local health endpoint against the package's health spec, with
+ * retries. `commit` is the release expected to answer; "{{commit}}"
+ * assertions are skipped without it. Returns false (logging why) when the
+ * endpoint answers but fails the spec, and throws a HealthCheckError when it
+ * cannot be reached. Aborting `signal` stops it with the signal's reason.
+ */
+export async function healthCheck(url, options = {}) {
+  const {
+    packageName,
+    commit,
+    retries = HEALTH_CHECK.retries,
+    logger,
+    signal = null,
+  } = options;
+  const spec = getHealthSpec(packageName);
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const failure = await checkEndpoint(
+      url,
+      spec,
+      commit,
+      HEALTH_CHECK.requestTimeout,
+      { signal }
+    );
+
+    if (!failure) {
+      return true;
+    }
+
+    if (attempt === retries) {
+      if (failure.error) {
+        throw new HealthCheckError(
+          `Health check failed for ${url}: ${failure.message}`,
+          { cause: failure.error }
+        );
       }
+      logger?.warn(`✗ Health check failed: ${url} - ${failure.message}`);
+      return false;
+    }
+
+    logger?.debug(
+      `Health check retry ${attempt}/${retries}: ${failure.message}`
+    );
+    await delay(HEALTH_CHECK.interval, signal);
+  }
+}
+
+/**
+ * Probes a health endpoint with backoff until it passes the package's health
+ * spec or `deadline` passes, e.g. while a freshly started server warms up.
+ * Returns false (logging the last failure) if it never passed.
+ */
+export async function waitForHealthy(url, options = {}) {
+  const { packageName, commit, deadline, logger, signal } = options;
+  const spec = getHealthSpec(packageName);
+
+  for (
+    let wait = HEALTH_CHECK.backoff.initial;
+    ;
+    wait = Math.min(wait * 2, HEALTH_CHECK.backoff.max)
+  ) {
+    const failure = await checkEndpoint(
+      url,
+      spec,
+      commit,
+      HEALTH_CHECK.requestTimeout
+    );
+
+    if (!failure) {
+      return true;
+    }
+
+    if (Date.now() + wait >= deadline) {
+      logger?.warn(`✗ Health check failed: ${url} - ${failure.message}`);
+      return false;
+    }
+
+    logger?.debug(`Health check not passing yet: ${failure.message}`);
+    await delay(wait, signal);
+  }
+}
+
+function getHealthSpec(packageName) {
+  return HEALTH_SPECS[packageName] || { method: "GET" };
+}
+
+/**
+ * Requests an endpoint once. Returns null if the response matches the spec,
+ * otherwise `{ message }` saying why not (plus `error` when there was no
+ * response at all). `request` adds headers and a body to send, and a
+ * `signal` that cancels the request (throwing the signal's reason).
+ */
+export async function checkEndpoint(
+  url,
+  spec,
+  commit,
+  defaultTimeout,
+  request = {}
+) {
+  const timeout = spec.timeout || defaultTimeout;
+  const { signal } = request;
+  const startedAt = Date.now();
+  let response;
+  let body;
+
+  try {
+    response = await fetch(url, {
+      method: spec.method,
+      headers: request.headers,
+      body: request.body,
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(timeout)])
+        : AbortSignal.timeout(timeout),
     });
-  });
+    body = await response.text();
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    return {
+      error,
+      message:
+        error.name === "TimeoutError"
+          ? `no response within ${timeout}ms`
+          : error.message,
+    };
+  }
+
+  const responseTime = Date.now() - startedAt;
+  const message = describeMismatch(response, body, responseTime, spec, commit);
+
+  return message ? { message } : null;
 }
 
-export async function healthCheck(url, retries = HEALTH_CHECK.retries) {
-  for (let i = 0; i < retries; i++) {
+function describeMismatch(response, body, responseTime, spec, commit) {
+  if (spec.status ? !spec.status.includes(response.status) : !response.ok) {
+    return `HTTP ${response.status}${
+      spec.status ? `, expected ${spec.status.join("/")}` : ""
+    }`;
+  }
+
+  for (const [name, expected] of Object.entries(spec.headers || {})) {
+    const value = response.headers.get(name);
+
+    if (value === null) {
+      return `missing header ${name}`;
+    }
+    if (!value.toLowerCase().includes(expected.toLowerCase())) {
+      return `header ${name} is "${value}", expected "${expected}"`;
+    }
+  }
+
+  if (spec.json) {
+    let data;
     try {
-      const response = await fetch(url);
-      if (response.ok) {
-        return true;
+      data = JSON.parse(body);
+    } catch {
+      return "response body is not JSON";
+    }
+
+    for (const [path, expected] of Object.entries(spec.json)) {
+      const actual = path
+        .split(".")
+        .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+      if (expected === "{{commit}}") {
+        // The full hash, or a prefix of at least 7 characters
+        if (
+          commit &&
+          !(
+            typeof actual === "string" &&
+            actual.length >= 7 &&
+            commit.startsWith(actual)
+          )
+        ) {
+          return `${path} is ${JSON.stringify(
+            actual
+          )}, expected commit ${commit.substring(0, 7)}`;
+        }
+      } else if (actual !== expected) {
+        return `${path} is ${JSON.stringify(actual)}, expected ${JSON.stringify(
+          expected
+        )}`;
       }
-    } catch (error) {
-      if (i === retries - 1) throw error;
-      await new Promise((resolve) =>
-        setTimeout(resolve, HEALTH_CHECK.interval)
-      );
     }
   }
-  return false;
+
+  if (spec.contains && !body.includes(spec.contains)) {
+    return `response does not contain ${JSON.stringify(spec.contains)}`;
+  }
+
+  if (spec.maxResponseTime && responseTime > spec.maxResponseTime) {
+    return `responded in ${responseTime}ms, budget is ${spec.maxResponseTime}ms`;
+  }
+
+  return null;
 }
 
 export function getHealthCheckUrl(environment, packageName, port = null) {
-  const targetPort = port || PORTS[environment][packageName];
+  const targetPort = port || getServicePort(environment, packageName);
 
-  if (packageName === "server") {
-    return `http://localhost:${targetPort}/health`;
-  }
-  return `http://localhost:${targetPort}`;
+  return joinUrl(
+    `http://localhost:${targetPort}`,
+    HEALTH_PATHS[packageName].local
+  );
 }
 
 /**
@@ -123,14 +469,10 @@ export function isCdnMode(metadata) {
 }
 
 /**
- * Performs HEAD requests to verify CDN assets are accessible
- * Samples a subset of assets to avoid excessive requests
+ * Every asset of the CDN manifest as `{ file, directory, url }`, where
+ * `directory` is the build path recorded in metadata.json
  */
-export async function checkCdnAssets(metadata, logger) {
-  if (!CDN_HEALTH_CHECK.enabled || !isCdnMode(metadata)) {
-    return true;
-  }
-
+export function listCdnAssets(metadata) {
   const { assetPrefix, cdnAssets } = metadata;
 
   // Collect all asset paths from all directories
@@ -148,6 +490,20 @@ export async function checkCdnAssets(metadata, logger) {
     }
   }
 
+  return allAssets;
+}
+
+/**
+ * Performs HEAD requests to verify CDN assets are accessible
+ * Samples a subset of assets to avoid excessive requests
+ */
+export async function checkCdnAssets(metadata, logger) {
+  if (!CDN_HEALTH_CHECK.enabled || !isCdnMode(metadata)) {
+    return true;
+  }
+
+  const allAssets = listCdnAssets(metadata);
+
   if (allAssets.length === 0) {
     logger.debug("No CDN assets to check");
     return true;
@@ -241,17 +597,24 @@ export function getPublicHealthCheckUrl(environment, packageName) {
     );
   }
 
-  if (packageName === "server") {
-    return `${baseUrl}/api/health`;
-  }
+  return joinUrl(baseUrl, HEALTH_PATHS[packageName].public);
+}
 
-  return baseUrl;
+// Appends a health path, leaving the base URL as is for "/"
+function joinUrl(baseUrl, path) {
+  return path === "/" ? baseUrl : `${baseUrl.replace(/\/$/, "")}${path}`;
 }
 
 /**
- * Performs health check on the public-facing URL
+ * Performs health check on the public-facing URL, against the same health
+ * spec as the local checks
  */
-export async function publicHealthCheck(environment, packageName, logger) {
+export async function publicHealthCheck(
+  environment,
+  packageName,
+  logger,
+  commit = null
+) {
   if (!PUBLIC_HEALTH_CHECK.enabled) {
     logger.debug("Public health check disabled");
     return true;
@@ -269,40 +632,36 @@ export async function publicHealthCheck(environment, packageName, logger) {
 
   logger.debug(`Starting public health check for ${url}`);
 
-  for (let attempt = 1; attempt <= PUBLIC_HEALTH_CHECK.retries; attempt++) {
-    try {
-      logger.debug(
-        `Public health check attempt ${attempt}/${PUBLIC_HEALTH_CHECK.retries}: ${url}`
-      );
-
-      const response = await fetch(url, {
-        timeout: PUBLIC_HEALTH_CHECK.timeout,
-      });
+  const spec = getHealthSpec(packageName);
 
-      if (response.ok) {
-        logger.debug(`✓ Public health check passed: ${url}`);
-        return true;
-      } else {
-        throw new Error(`HTTP ${response.status}`);
-      }
-    } catch (error) {
-      const isLastAttempt = attempt === PUBLIC_HEALTH_CHECK.retries;
+  for (let attempt = 1; attempt <= PUBLIC_HEALTH_CHECK.retries; attempt++) {
+    logger.debug(
+      `Public health check attempt ${attempt}/${PUBLIC_HEALTH_CHECK.retries}: ${url}`
+    );
 
-      if (isLastAttempt) {
-        logger.error(`✗ Public health check failed: ${url} - ${error.message}`);
-        return false;
-      }
+    const failure = await checkEndpoint(
+      url,
+      spec,
+      commit,
+      PUBLIC_HEALTH_CHECK.timeout
+    );
 
-      logger.debug(
-        `Public health check retry ${attempt}/${PUBLIC_HEALTH_CHECK.retries}: ${error.message}`
-      );
+    if (!failure) {
+      logger.debug(`✓ Public health check passed: ${url}`);
+      return true;
+    }
 
-      if (attempt < PUBLIC_HEALTH_CHECK.retries) {
-        await new Promise((resolve) =>
-          setTimeout(resolve, PUBLIC_HEALTH_CHECK.interval)
-        );
-      }
+    if (attempt === PUBLIC_HEALTH_CHECK.retries) {
+      logger.error(`✗ Public health check failed: ${url} - ${failure.message}`);
+      return false;
     }
+
+    logger.debug(
+      `Public health check retry ${attempt}/${PUBLIC_HEALTH_CHECK.retries}: ${failure.message}`
+    );
+    await new Promise((resolve) =>
+      setTimeout(resolve, PUBLIC_HEALTH_CHECK.interval)
+    );
   }
 
   return false;
@@ -0,0 +1,193 @@
+import fs from "fs-extra";
+import { spawn } from "child_process";
+import { join } from "path";
+import dotenv from "dotenv";
+import { ValidationError } from "./errors.js";
+import { HOOKS } from "../config.js";
+
+export const HOOK_PHASES = [
+  "preHealthcheck",
+  "preCutover",
+  "postCutover",
+  "onRollback",
+];
+
+/**
+ * Reads lifecycle hooks declared by a release, from `deploy.hooks.json` at
+ * the release root or the `hooks` key of metadata.json. Each phase holds a
+ * list of commands, either strings or `{ name, command, timeout, onFailure }`.
+ */
+export async function loadHooks(releasePath, metadata = {}) {
+  const hooksFile = join(releasePath, "deploy.hooks.json");
+  const declared = (await fs.pathExists(hooksFile))
+    ? await fs.readJson(hooksFile)
+    : metadata.hooks || {};
+
+  const hooks = {};
+  for (const [phase, entries] of Object.entries(declared)) {
+    if (!HOOK_PHASES.includes(phase)) {
+      throw new ValidationError(
+        `Unknown hook phase "${phase}" (expected one of: ${HOOK_PHASES.join(
+          ", "
+        )})`
+      );
+    }
+
+    hooks[phase] = [entries].flat().map((entry, index) => {
+      const hook = typeof entry === "string" ? { command: entry } : entry;
+
+      if (!hook.command) {
+        throw new ValidationError(`Hook ${phase}[${index}] has no command`);
+      }
+      if (hook.onFailure && !["abort", "continue"].includes(hook.onFailure)) {
+        throw new ValidationError(
+          `Hook ${phase}[${index}] has invalid onFailure "${hook.onFailure}" (abort|continue)`
+        );
+      }
+
+      return {
+        name: hook.name || hook.command,
+        command: hook.command,
+        timeout: hook.timeout || HOOKS.defaultTimeout,
+        onFailure: hook.onFailure || "abort",
+      };
+    });
+  }
+
+  return hooks;
+}
+
+/**
+ * Runs the hooks of one phase in order inside the package directory, with
+ * the release's env files loaded. A failing `abort` hook throws; a failing
+ * `continue` hook is logged as a warning.
+ */
+export async function runHooks(phase, hooks, context, logger) {
+  const phaseHooks = hooks[phase] || [];
+
+  if (phaseHooks.length === 0) {
+    return;
+  }
+
+  const { releasePath, packageName, environment, commit, signal } = context;
+  const packagePath = join(releasePath, "packages", packageName);
+
+  logger.step(`Running ${phase} hooks (${phaseHooks.length})`);
+
+  const env = {
+    ...process.env,
+    ...(await readReleaseEnv(packagePath)),
+    NODE_ENV: "production",
+    DEPLOY_ENV: environment,
+    DEPLOY_PHASE: phase,
+    DEPLOY_COMMIT: commit,
+    DEPLOY_RELEASE_PATH: releasePath,
+  };
+
+  for (const hook of phaseHooks) {
+    logger.info(`🪝 ${phase}: ${hook.name}`);
+
+    try {
+      await runHookCommand(hook, packagePath, env, logger, signal);
+      logger.debug(`Hook completed: ${hook.name}`);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      if (hook.onFailure === "continue") {
+        logger.warn(`Hook "${hook.name}" failed, continuing: ${error.message}`);
+      } else {
+        throw new Error(
+          `${phase} hook "${hook.name}" failed: ${error.message}`
+        );
+      }
+    }
+  }
+}
+
+export async function readReleaseEnv(packagePath) {
+  const env = {};
+
+  // Same files the service reads at runtime
+  for (const file of [".env.local", ".env.cdn"]) {
+    const envFile = join(packagePath, file);
+    if (await fs.pathExists(envFile)) {
+      Object.assign(env, dotenv.parse(await fs.readFile(envFile)));
+    }
+  }
+
+  return env;
+}
+
+/**
+ * Runs one command with a shell in its own process group, streaming its
+ * output into the log. Rejects when it fails, times out or is cancelled.
+ */
+export function runHookCommand(hook, cwd, env, logger, signal) {
+  signal?.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(hook.command, {
+      cwd,
+      env,
+      shell: true,
+      stdio: "pipe",
+      detached: true, // Own process group so a timeout kills the whole tree
+    });
+
+    let timedOut = false;
+    let killTimer;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      killGroup(child, "SIGTERM");
+      killTimer = setTimeout(
+        () => killGroup(child, "SIGKILL"),
+        HOOKS.killGrace
+      );
+    }, hook.timeout * 1000);
+
+    const onAbort = () => {
+      killGroup(child, "SIGTERM");
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    const log = (stream) => (data) => {
+      for (const line of data.toString().trimEnd().split("\n")) {
+        logger.info(`[${stream}] ${line}`);
+      }
+    };
+    child.stdout.on("data", log("STDOUT"));
+    child.stderr.on("data", log("STDERR"));
+
+    child.on("error", (error) => {
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      reject(error);
+    });
+
+    child.on("exit", (code, exitSignal) => {
+      clearTimeout(timeout);
+      clearTimeout(killTimer);
+      signal?.removeEventListener("abort", onAbort);
+
+      if (timedOut) {
+        // Take down anything in the group that outlived the shell
+        killGroup(child, "SIGKILL");
+        reject(new Error(`timed out after ${hook.timeout}s`));
+      } else if (code !== 0) {
+        reject(new Error(`exited with ${exitSignal || `code ${code}`}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function killGroup(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Already exited
+  }
+}
@@ -0,0 +1,13 @@
+import { userInfo } from "os";
+
+/**
+ * Name of the user running the CLI, recorded with freeze overrides and
+ * approvals
+ */
+export function getUserName() {
+  try {
+    return userInfo().username;
+  } catch {
+    return process.env.USER || "unknown";
+  }
+}
@@ -0,0 +1,93 @@
+import fs from "fs-extra";
+import { createHash, createVerify } from "crypto";
+import { pipeline } from "stream/promises";
+import { ValidationError } from "./errors.js";
+import { INTEGRITY } from "../config.js";
+
+/**
+ * Computes the sha256 hex digest of a file by streaming it
+ */
+export async function hashFile(filePath) {
+  const hash = createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * Verifies the `<artifact>.sha256` sidecar and, when a public key is
+ * configured, the `<artifact>.sig` detached signature written by
+ * collect-build-artifacts.sh. Throws on any mismatch.
+ */
+export async function verifyArtifactIntegrity(artifactPath, logger) {
+  const result = {
+    checksum: "missing",
+    signature: "missing",
+  };
+
+  const checksumFile = `${artifactPath}.sha256`;
+  if (await fs.pathExists(checksumFile)) {
+    const expected = (await fs.readFile(checksumFile, "utf8"))
+      .trim()
+      .split(/\s+/)[0]
+      .toLowerCase();
+    const actual = await hashFile(artifactPath);
+
+    if (expected !== actual) {
+      throw new ValidationError(
+        `Artifact checksum mismatch: expected ${expected}, got ${actual}`
+      );
+    }
+
+    result.checksum = "verified";
+    result.sha256 = actual;
+    logger.debug(`✓ Artifact checksum verified: ${actual}`);
+  } else if (INTEGRITY.requireChecksum) {
+    throw new ValidationError(
+      `Artifact checksum file not found: ${checksumFile}`
+    );
+  } else {
+    logger.warn(
+      `No checksum file found for artifact, skipping checksum verification`
+    );
+  }
+
+  const signatureFile = `${artifactPath}.sig`;
+  if (INTEGRITY.publicKeyPath && (await fs.pathExists(signatureFile))) {
+    const publicKey = await fs.readFile(INTEGRITY.publicKeyPath, "utf8");
+    const signature = await fs.readFile(signatureFile);
+    const verifier = createVerify("sha256");
+    await pipeline(fs.createReadStream(artifactPath), verifier);
+
+    if (!verifier.verify(publicKey, signature)) {
+      throw new ValidationError(
+        `Artifact signature does not match public key ${INTEGRITY.publicKeyPath}`
+      );
+    }
+
+    result.signature = "verified";
+    logger.debug("✓ Artifact signature verified");
+  }
+
+  return result;
+}
+
+/**
+ * Rejects unsigned artifacts for environments that require a signature
+ */
+export function enforceSignaturePolicy(integrity, environment) {
+  if (!INTEGRITY.signedEnvironments.includes(environment)) {
+    return;
+  }
+
+  if (!INTEGRITY.publicKeyPath) {
+    throw new ValidationError(
+      `Environment ${environment} requires signed artifacts but ARTIFACT_PUBLIC_KEY_PATH is not set`
+    );
+  }
+
+  if (integrity.signature !== "verified") {
+    throw new ValidationError(
+      `Environment ${environment} requires a signed artifact, but no signature was found`
+    );
+  }
+}
@@ -0,0 +1,219 @@
+import fs from "fs-extra";
+import { randomUUID } from "crypto";
+import { hostname } from "os";
+import { basename, join } from "path";
+import { getLockFile } from "./paths.js";
+import { delay } from "./cancellation.js";
+import { LockError } from "./errors.js";
+import { PATHS, LOCK } from "../config.js";
+
+/**
+ * Acquires the deploy lock for an environment/package pair.
+ * Waits up to `waitTimeout` seconds for a live holder, takes over stale locks
+ * left by dead processes on this host, and returns a release function.
+ *
+ * The lock is not re-entrant: a second caller in the same process waits like
+ * any other. Nested operations that run under a held lock (e.g. cleanup
+ * during a deploy) must be told so instead of acquiring it again.
+ */
+export async function acquireDeployLock(
+  environment,
+  packageName,
+  options = {}
+) {
+  const {
+    triggerSource = "manual",
+    operation = "deploy",
+    waitTimeout = 0,
+    logger,
+    signal,
+  } = options;
+  const lockFile = getLockFile(environment, packageName);
+
+  const owner = {
+    // Tells this holder apart from other callers in the same process
+    id: randomUUID(),
+    pid: process.pid,
+    host: hostname(),
+    triggerSource,
+    operation,
+    startedAt: new Date().toISOString(),
+  };
+  const deadline = Date.now() + Number(waitTimeout) * 1000;
+  let waiting = false;
+
+  await fs.ensureDir(PATHS.locks);
+
+  while (true) {
+    try {
+      await fs.writeFile(lockFile, JSON.stringify(owner, null, 2), {
+        flag: "wx",
+      });
+      logger?.debug(`Acquired deploy lock: ${lockFile}`);
+      return () => releaseDeployLock(lockFile, owner.id);
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const holder = await readLockFile(lockFile);
+
+    if (holder && (await isStaleLock(lockFile, holder))) {
+      if (await takeOverStaleLock(lockFile)) {
+        logger?.warn(`Removed stale deploy lock: ${describeLockOwner(holder)}`);
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new LockError(
+        `${packageName}/${environment} is locked by ${describeLockOwner(
+          holder
+        )}. Use "deploy lock status" to inspect it.`
+      );
+    }
+
+    if (!waiting) {
+      logger?.info(
+        `⏳ Waiting for deploy lock held by ${describeLockOwner(holder)}`
+      );
+      waiting = true;
+    }
+
+    await delay(LOCK.pollInterval, signal);
+  }
+}
+
+async function releaseDeployLock(lockFile, id) {
+  // Only remove the file if it still belongs to this holder; it may have
+  // been broken and taken by someone else since
+  const holder = await readLockFile(lockFile);
+  if (holder?.id === id) {
+    await fs.remove(lockFile);
+  }
+}
+
+/**
+ * Moves a stale lock file out of the way under a unique name, so that of
+ * several waiters that saw the same stale holder only one removes it. If what
+ * was moved turns out to be live (another waiter took the lock in between),
+ * it is put back. Returns whether a stale lock was removed.
+ */
+async function takeOverStaleLock(lockFile) {
+  const claimed = `${lockFile}.${randomUUID()}.stale`;
+
+  try {
+    await fs.rename(lockFile, claimed);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false; // Someone else got there first
+    }
+    throw error;
+  }
+
+  const holder = await readLockFile(claimed);
+  if (holder && !(await isStaleLock(claimed, holder))) {
+    // link() never overwrites, so a lock taken meanwhile is left alone
+    await fs.link(claimed, lockFile).catch(() => {});
+    await fs.remove(claimed);
+    return false;
+  }
+
+  await fs.remove(claimed);
+  return true;
+}
+
+export async function getLockStatus(environment, packageName) {
+  const lockFile = getLockFile(environment, packageName);
+  const holder = await readLockFile(lockFile);
+
+  if (!holder) {
+    return null;
+  }
+
+  return { ...holder, lockFile, stale: await isStaleLock(lockFile, holder) };
+}
+
+export async function listLocks() {
+  if (!(await fs.pathExists(PATHS.locks))) {
+    return [];
+  }
+
+  const entries = await fs.readdir(PATHS.locks);
+  const locks = [];
+
+  for (const entry of entries.filter((name) => name.endsWith(".lock"))) {
+    const lockFile = join(PATHS.locks, entry);
+    const holder = await readLockFile(lockFile);
+    if (holder) {
+      locks.push({
+        ...holder,
+        name: basename(entry, ".lock"),
+        lockFile,
+        stale: await isStaleLock(lockFile, holder),
+      });
+    }
+  }
+
+  return locks;
+}
+
+/**
+ * Removes a lock regardless of who holds it and returns the previous holder
+ */
+export async function breakDeployLock(environment, packageName) {
+  const lockFile = getLockFile(environment, packageName);
+  const holder = await readLockFile(lockFile);
+
+  await fs.remove(lockFile);
+
+  return holder;
+}
+
+export function describeLockOwner(holder) {
+  if (!holder || holder.pid === undefined) {
+    return "an unknown owner";
+  }
+
+  return `PID ${holder.pid} on ${holder.host} (${holder.operation}, ${
+    holder.triggerSource
+  }, started ${new Date(holder.startedAt).toLocaleString()})`;
+}
+
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+async function isStaleLock(lockFile, holder) {
+  // Unreadable: either still being written, or left corrupt by a crash
+  if (holder.pid === undefined) {
+    const stats = await fs.stat(lockFile).catch(() => null);
+    return (
+      stats !== null &&
+      Date.now() - stats.mtimeMs > LOCK.unreadableStaleAfter * 1000
+    );
+  }
+
+  // Liveness can only be checked for processes on this host
+  return holder.host === hostname() && !isProcessAlive(holder.pid);
+}
+
+async function readLockFile(lockFile) {
+  try {
+    return await fs.readJson(lockFile);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+
+    // A lock file is written in one call, so an unreadable one is corrupt
+    return {};
+  }
+}
@@ -1,14 +1,25 @@
 export class Logger {
-  constructor(verbose = false) {
+  constructor(verbose = false, { stderr = false } = {}) {
     this.verbose = verbose;
+    // Keeps stdout clean for machine-readable output (e.g. --json)
+    this.out = stderr ? console.error : console.log;
+    this.steps = [];
+  }
+
+  /**
+   * Plain output such as tables and listings, without an icon. Goes to
+   * stderr along with everything else in JSON mode.
+   */
+  print(message = "") {
+    this.out(message);
   }
 
   info(message) {
-    console.log(`ℹ️  ${message}`);
+    this.out(`ℹ️  ${message}`);
   }
 
   success(message) {
-    console.log(`✅ ${message}`);
+    this.out(`✅ ${message}`);
   }
 
   error(message) {
@@ -21,11 +32,32 @@ export class Logger {
 
   debug(message) {
     if (this.verbose) {
-      console.log(`🔍 ${message}`);
+      this.out(`🔍 ${message}`);
     }
   }
 
   step(message) {
-    console.log(`🔄 ${message}`);
+    this.endStep();
+    this.steps.push({ step: message, startedAt: new Date(), durationMs: null });
+    this.out(`🔄 ${message}`);
+  }
+
+  /**
+   * Steps logged so far with how long each took, for --json output
+   */
+  getStepTimings() {
+    this.endStep();
+    return this.steps.map(({ step, startedAt, durationMs }) => ({
+      step,
+      startedAt: startedAt.toISOString(),
+      durationMs,
+    }));
+  }
+
+  endStep() {
+    const current = this.steps.at(-1);
+    if (current && current.durationMs === null) {
+      current.durationMs = Date.now() - current.startedAt.getTime();
+    }
   }
 }
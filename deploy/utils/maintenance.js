@@ -0,0 +1,216 @@
+import fs from "fs-extra";
+import { fileURLToPath } from "url";
+import { join } from "path";
+import { getDeploymentPaths } from "./paths.js";
+import {
+  getServiceName,
+  startOrReloadService,
+  stopService,
+  deleteService,
+  isServiceOnline,
+} from "./pm2.js";
+import { isBlueGreen, getActiveColor, getServicePort } from "./colors.js";
+import { pointUpstream } from "./blueGreen.js";
+import {
+  findAvailablePort,
+  healthCheck,
+  getHealthCheckUrl,
+} from "./healthCheck.js";
+import { HealthCheckError, Pm2Error, ValidationError } from "./errors.js";
+import { PATHS, MAINTENANCE } from "../config.js";
+
+const MAINTENANCE_SERVER = fileURLToPath(
+  new URL("../bin/maintenance-server.js", import.meta.url)
+);
+
+export function getMaintenanceServiceName(environment, packageName) {
+  return `${getServiceName(environment, packageName)}-maintenance`;
+}
+
+/**
+ * Maintenance state of a package, or null when it serves its release
+ */
+export async function readMaintenance(environment, packageName) {
+  const { maintenance } = getDeploymentPaths(environment, packageName);
+  return (await fs.pathExists(maintenance)) ? fs.readJson(maintenance) : null;
+}
+
+/**
+ * Deploys and rollbacks would restart the real service underneath the
+ * maintenance server, so they wait until maintenance mode is turned off
+ */
+export async function assertNotInMaintenance(environment, packageName) {
+  if (await readMaintenance(environment, packageName)) {
+    throw new ValidationError(
+      `${packageName}/${environment} is in maintenance mode. Run "deploy maintenance off" first.`
+    );
+  }
+}
+
+/**
+ * Serves the maintenance page in place of a package. The release stays
+ * untouched: its PM2 service is stopped (blue/green: keeps running while the
+ * proxy upstream points at the maintenance server). Running it again while
+ * on updates the message.
+ */
+export async function enableMaintenance(
+  environment,
+  packageName,
+  message,
+  logger
+) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const blueGreen = isBlueGreen(environment);
+  const serviceName = getServiceName(environment, packageName);
+  const maintenanceService = getMaintenanceServiceName(
+    environment,
+    packageName
+  );
+  const existing = await readMaintenance(environment, packageName);
+
+  // Blue/green: the maintenance server needs a port of its own, since both
+  // colour ports stay in use
+  const port =
+    existing?.port ??
+    (blueGreen
+      ? await findAvailablePort()
+      : getServicePort(environment, packageName));
+
+  const state = {
+    message,
+    port,
+    service: maintenanceService,
+    startedAt: existing?.startedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+
+  if (!blueGreen && (await stopService(serviceName))) {
+    logger.info(`⏸️  Stopped PM2 service: ${serviceName}`);
+  }
+
+  try {
+    await startMaintenanceServer(environment, packageName, state, logger);
+  } catch (error) {
+    if (!blueGreen && !existing) {
+      logger.warn(`Restarting ${serviceName}`);
+      await startOrReloadService(serviceName, paths.pm2Config, logger);
+    }
+    throw error;
+  }
+
+  if (blueGreen) {
+    await pointUpstream(environment, packageName, "maintenance", port, logger);
+  }
+
+  await fs.writeJson(paths.maintenance, state, { spaces: 2 });
+  return state;
+}
+
+/**
+ * Puts the release back and runs the production health check. If that
+ * fails, the maintenance page stays up and a HealthCheckError is thrown.
+ * Returns the health check URL, or null if maintenance mode was not on.
+ */
+export async function disableMaintenance(environment, packageName, logger) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const state = await readMaintenance(environment, packageName);
+
+  if (!state) {
+    return null;
+  }
+
+  const healthUrl = getHealthCheckUrl(environment, packageName);
+
+  if (isBlueGreen(environment)) {
+    // The active colour kept running, so check it before moving traffic back
+    if (!(await healthCheck(healthUrl, { packageName, logger }))) {
+      throw new HealthCheckError(
+        `Health check failed for ${healthUrl}, maintenance mode stays on`
+      );
+    }
+
+    const color = getActiveColor(environment, packageName) || "blue";
+    await pointUpstream(
+      environment,
+      packageName,
+      color,
+      getServicePort(environment, packageName),
+      logger
+    );
+    await deleteService(state.service);
+  } else {
+    const serviceName = getServiceName(environment, packageName);
+
+    await deleteService(state.service);
+
+    try {
+      await startOrReloadService(serviceName, paths.pm2Config, logger);
+
+      if (!(await isServiceOnline(serviceName))) {
+        throw new Pm2Error(`PM2 service ${serviceName} failed to start`);
+      }
+      if (!(await healthCheck(healthUrl, { packageName, logger }))) {
+        throw new HealthCheckError(`Health check failed for ${healthUrl}`);
+      }
+    } catch (error) {
+      logger.warn(`${error.message}, putting the maintenance page back`);
+      await stopService(serviceName);
+      await startMaintenanceServer(environment, packageName, state, logger);
+      error.message += ", maintenance mode stays on";
+      throw error;
+    }
+  }
+
+  await fs.remove(paths.maintenance);
+  await fs.remove(paths.maintenancePm2Config);
+  return healthUrl;
+}
+
+async function startMaintenanceServer(environment, packageName, state, logger) {
+  const { maintenancePm2Config } = getDeploymentPaths(environment, packageName);
+  const logPrefix = join(
+    PATHS.deployments,
+    environment,
+    "logs",
+    `${packageName}-maintenance`
+  );
+
+  const config = {
+    apps: [
+      {
+        name: state.service,
+        script: MAINTENANCE_SERVER,
+        instances: 1,
+        exec_mode: "fork",
+        env: {
+          DEPLOY_ENV: environment,
+          PORT: state.port,
+          MAINTENANCE_MESSAGE: state.message,
+          MAINTENANCE_RETRY_AFTER: MAINTENANCE.retryAfter,
+        },
+        error_file: `${logPrefix}-error.log`,
+        out_file: `${logPrefix}-out.log`,
+        time: true,
+        autorestart: true,
+      },
+    ],
+  };
+
+  await fs.ensureDir(join(maintenancePm2Config, ".."));
+  await fs.writeFile(
+    maintenancePm2Config,
+    `module.exports = ${JSON.stringify(config, null, 2)};`
+  );
+
+  // Deleting first makes PM2 pick up a changed message
+  await deleteService(state.service);
+  await startOrReloadService(state.service, maintenancePm2Config, logger);
+
+  if (!(await isServiceOnline(state.service))) {
+    throw new Pm2Error(`PM2 service ${state.service} failed to start`);
+  }
+
+  logger.info(
+    `🚧 Maintenance server ${state.service} running on port ${state.port}`
+  );
+}
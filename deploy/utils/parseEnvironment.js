@@ -1,39 +1,43 @@
+import { ValidationError } from "./errors.js";
+import { isPreviewEnvironment } from "./previews.js";
+import { ENVIRONMENTS, PACKAGES } from "../config.js";
+
 /**
  * Parse environment string in format {env}-{package} into separate components
- * @param {string} environment - Environment string like "prod-client" or "staging-server"
+ * @param {string} environment - Environment string like "prod-client" or "pr-123-server"
  * @returns {{env: string, package: string}} Parsed environment and package
  * @throws {Error} If environment format is invalid
  */
 function parseEnvironment(environment) {
   if (!environment || typeof environment !== "string") {
-    throw new Error("Environment must be a non-empty string");
+    throw new ValidationError("Environment must be a non-empty string");
   }
 
-  const parts = environment.split("-");
+  // Preview environments (pr-123) contain a dash themselves
+  const separator = environment.lastIndexOf("-");
 
-  if (parts.length !== 2) {
-    throw new Error(
+  if (separator <= 0) {
+    throw new ValidationError(
       `Invalid environment format: ${environment}. Expected format: {env}-{package}`
     );
   }
 
-  const [env, packageName] = parts;
+  const env = environment.slice(0, separator);
+  const packageName = environment.slice(separator + 1);
 
   // Validate environment
-  const validEnvs = ["main", "staging", "prod"];
-  if (!validEnvs.includes(env)) {
-    throw new Error(
-      `Invalid environment: ${env}. Must be one of: ${validEnvs.join(", ")}`
+  if (!ENVIRONMENTS.includes(env) && !isPreviewEnvironment(env)) {
+    throw new ValidationError(
+      `Invalid environment: ${env}. Must be one of: ${ENVIRONMENTS.join(
+        ", "
+      )} or pr-<number>`
     );
   }
 
   // Validate package
-  const validPackages = ["client", "server"];
-  if (!validPackages.includes(packageName)) {
-    throw new Error(
-      `Invalid package: ${packageName}. Must be one of: ${validPackages.join(
-        ", "
-      )}`
+  if (!PACKAGES.includes(packageName)) {
+    throw new ValidationError(
+      `Invalid package: ${packageName}. Must be one of: ${PACKAGES.join(", ")}`
     );
   }
 
@@ -45,8 +49,8 @@ function parseEnvironment(environment) {
 
 /**
  * Format environment and package into deployment environment string
- * @param {string} env - Environment (main, staging, prod)
- * @param {string} packageName - Package name (client, server)
+ * @param {string} env - Environment from deploy.config (e.g. main, staging, prod)
+ * @param {string} packageName - Package name from deploy.config (e.g. client, server)
  * @returns {string} Formatted environment string like "prod-client"
  */
 function formatEnvironment(env, packageName) {
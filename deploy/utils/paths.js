@@ -9,6 +9,21 @@ export function getDeploymentPaths(environment, packageName) {
     current: join(envPath, "current"),
     releases: join(envPath, "releases"),
     pm2Config: join(PATHS.deployments, environment, "ecosystem.config.js"),
+    // Blue/green mode: per-colour release symlinks, active colour and proxy upstream
+    colors: {
+      blue: join(envPath, "current-blue"),
+      green: join(envPath, "current-green"),
+    },
+    colorState: join(envPath, "color.json"),
+    // Maintenance mode: state and the PM2 config of the maintenance server
+    maintenance: join(envPath, "maintenance.json"),
+    maintenancePm2Config: join(envPath, "maintenance.config.js"),
+    proxyUpstream: join(
+      PATHS.deployments,
+      environment,
+      "proxy",
+      `${packageName}.conf`
+    ),
   };
 }
 
@@ -22,3 +37,15 @@ export function getReleasePath(environment, packageName, commit, timestamp) {
 export function getVersionFile(environment, packageName) {
   return join(PATHS.versions, `${environment}-${packageName}.json`);
 }
+
+export function getPreviewStateFile(environment) {
+  return join(PATHS.deployments, environment, "preview.json");
+}
+
+export function getApprovalFile(id) {
+  return join(PATHS.approvals, `${id}.json`);
+}
+
+export function getLockFile(environment, packageName) {
+  return join(PATHS.locks, `${environment}-${packageName}.lock`);
+}
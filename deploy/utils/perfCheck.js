@@ -0,0 +1,115 @@
+import { PERF_CHECKS } from "../config.js";
+
+export function getPerfCheck(packageName) {
+  return PERF_CHECKS[packageName] || null;
+}
+
+/**
+ * Sends `requests` GET requests, round-robin over the check's paths and at
+ * most `concurrency` at a time, after a few unmeasured warm-up requests.
+ * Returns `{ requests, errors, errorRate, p50, p95 }`; latencies in ms,
+ * error rate in percent. Non-2xx answers and timeouts count as errors.
+ */
+export async function runLoadProbe(baseUrl, check, signal) {
+  const urls = Array.from(
+    { length: check.requests },
+    (_, index) => `${baseUrl}${check.paths[index % check.paths.length]}`
+  );
+
+  for (let index = 0; index < check.warmup; index++) {
+    await timeRequest(urls[index % urls.length], check.timeout, signal);
+  }
+
+  const samples = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      signal?.throwIfAborted();
+      samples.push(await timeRequest(urls[next++], check.timeout, signal));
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(check.concurrency, urls.length) }, worker)
+  );
+
+  const durations = samples
+    .map((sample) => sample.durationMs)
+    .sort((a, b) => a - b);
+  const errors = samples.filter((sample) => !sample.ok).length;
+
+  return {
+    requests: samples.length,
+    errors,
+    errorRate: round((errors / samples.length) * 100),
+    p50: percentile(durations, 50),
+    p95: percentile(durations, 95),
+  };
+}
+
+/**
+ * What got worse from the live release's probe to the new one, beyond the
+ * check's thresholds, e.g. ["p95 120ms -> 260ms (+117%)"]
+ */
+export function findRegressions(candidate, baseline, check) {
+  const regressions = [];
+
+  for (const metric of ["p50", "p95"]) {
+    const increase = candidate[metric] - baseline[metric];
+    const percent = baseline[metric]
+      ? Math.round((increase / baseline[metric]) * 100)
+      : Infinity;
+
+    if (
+      increase >= check.minLatencyIncrease &&
+      percent > check.maxLatencyIncrease
+    ) {
+      regressions.push(
+        `${metric} ${baseline[metric]}ms -> ${candidate[metric]}ms (+${percent}%)`
+      );
+    }
+  }
+
+  if (candidate.errorRate - baseline.errorRate > check.maxErrorRateIncrease) {
+    regressions.push(
+      `error rate ${baseline.errorRate}% -> ${candidate.errorRate}%`
+    );
+  }
+
+  return regressions;
+}
+
+export function describeProbe(probe) {
+  return `p50 ${probe.p50}ms, p95 ${probe.p95}ms, ${probe.errorRate}% errors`;
+}
+
+// A cancelled deploy stops the probe; any other failure is a failed sample
+async function timeRequest(url, timeout, signal) {
+  const startedAt = performance.now();
+  const requestTimeout = AbortSignal.timeout(timeout);
+
+  try {
+    const response = await fetch(url, {
+      signal: signal
+        ? AbortSignal.any([signal, requestTimeout])
+        : requestTimeout,
+    });
+    await response.arrayBuffer();
+    return { ok: response.ok, durationMs: performance.now() - startedAt };
+  } catch {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    return { ok: false, durationMs: performance.now() - startedAt };
+  }
+}
+
+// Nearest-rank percentile of sorted values, rounded to 0.1ms
+function percentile(sorted, rank) {
+  const index = Math.ceil((rank / 100) * sorted.length) - 1;
+  return round(sorted[Math.max(index, 0)]);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,240 @@
+import fs from "fs-extra";
+import { join } from "path";
+import dotenv from "dotenv";
+import { getReleasePath } from "./paths.js";
+import { readArtifactFiles, readSymlinkTarget } from "./fileOps.js";
+import { getVersionHistory } from "./versions.js";
+import { getServiceName, getPm2Service } from "./pm2.js";
+import { isCdnMode } from "./healthCheck.js";
+import {
+  isBlueGreen,
+  getActiveColor,
+  getIdleColor,
+  getColorPort,
+  getPort,
+} from "./colors.js";
+import { PATHS } from "../config.js";
+
+/**
+ * Describes what deploying a target would change without touching anything:
+ * versions, release path, env file keys, lockfile, CDN mode and PM2 actions
+ */
+export async function buildDeploymentPlan(target, deploymentTimestamp) {
+  const { environment, package: packageName, commit } = target.metadata;
+  const currentReleasePath = await readSymlinkTarget(target.paths.current);
+  const versionData = await getVersionHistory(environment, packageName);
+  const activeDeployment = versionData.deployments.find(
+    (deployment) =>
+      deployment.status === "active" &&
+      deployment.packages.includes(packageName)
+  );
+
+  const incoming = await readIncomingFiles(target);
+  const currentMetadata = currentReleasePath
+    ? await fs.readJson(join(currentReleasePath, "metadata.json"), {
+        throws: false,
+      })
+    : null;
+
+  return {
+    package: packageName,
+    environment,
+    current: activeDeployment
+      ? {
+          version: activeDeployment.version,
+          commit: activeDeployment.commit,
+          releasePath: currentReleasePath,
+        }
+      : null,
+    incoming: {
+      version: `${deploymentTimestamp}-${commit.substring(0, 7)}`,
+      commit,
+      releasePath: getReleasePath(
+        environment,
+        packageName,
+        commit,
+        deploymentTimestamp
+      ),
+      ...(target.promotedFrom && { promotedFrom: target.promotedFrom }),
+    },
+    envFile: await planEnvFile(packageName, environment, currentReleasePath),
+    lockfile: {
+      changed:
+        !currentReleasePath ||
+        incoming.lockfile !==
+          (await readFileOrNull(join(currentReleasePath, "pnpm-lock.yaml"))),
+    },
+    cdn: planCdn(currentMetadata, target.metadata),
+    services: await planServices(target, environment, packageName),
+  };
+}
+
+export function printDeploymentPlan(plan, logger) {
+  logger.print(`\nDeployment Plan: ${plan.package} -> ${plan.environment}`);
+
+  if (plan.current) {
+    logger.print(
+      `  Current:  ${plan.current.version} (${plan.current.commit.substring(
+        0,
+        7
+      )})`
+    );
+  } else {
+    logger.print("  Current:  none (first deployment)");
+  }
+  logger.print(
+    `  Incoming: ${plan.incoming.version} (${plan.incoming.commit.substring(
+      0,
+      7
+    )})`
+  );
+  if (plan.incoming.promotedFrom) {
+    logger.print(
+      `  Promoted from: ${plan.incoming.promotedFrom.environment} (${plan.incoming.promotedFrom.version})`
+    );
+  }
+  logger.print(`  Release Path: ${plan.incoming.releasePath}`);
+
+  const { envFile } = plan;
+  logger.print(`  Env File: ${envFile.source}`);
+  if (!envFile.exists) {
+    logger.print("    ❌ missing - deployment would fail");
+  } else if (!envFile.diff) {
+    logger.print("    (no active release to compare against)");
+  } else {
+    const { added, removed, changed } = envFile.diff;
+    if (added.length + removed.length + changed.length === 0) {
+      logger.print("    unchanged");
+    }
+    added.forEach((key) => logger.print(`    + ${key}`));
+    removed.forEach((key) => logger.print(`    - ${key}`));
+    changed.forEach((key) => logger.print(`    ~ ${key}`));
+  }
+
+  logger.print(
+    `  pnpm-lock.yaml: ${plan.lockfile.changed ? "changed" : "unchanged"}`
+  );
+  logger.print(`  CDN Mode: ${describeCdn(plan.cdn)}`);
+
+  for (const service of plan.services) {
+    logger.print(
+      `  PM2: ${service.action} ${service.name} (port ${service.port})`
+    );
+    if (service.color) {
+      logger.print(`  Traffic: ${service.trafficFrom} -> ${service.color}`);
+    }
+  }
+}
+
+async function readIncomingFiles(target) {
+  if (target.sourceReleasePath) {
+    return {
+      lockfile: await readFileOrNull(
+        join(target.sourceReleasePath, "pnpm-lock.yaml")
+      ),
+    };
+  }
+
+  const files = await readArtifactFiles(target.artifactPath, [
+    "pnpm-lock.yaml",
+  ]);
+  return { lockfile: files["pnpm-lock.yaml"] };
+}
+
+/**
+ * Compares env keys only - values may be secrets and are never reported
+ */
+async function planEnvFile(packageName, environment, currentReleasePath) {
+  const source = join(PATHS.dotenv, packageName, `.env.${environment}`);
+  const plan = { source, exists: await fs.pathExists(source), diff: null };
+
+  if (!plan.exists || !currentReleasePath) {
+    return plan;
+  }
+
+  const activeEnv = await readFileOrNull(
+    join(currentReleasePath, "packages", packageName, ".env.local")
+  );
+  if (activeEnv === null) {
+    return plan;
+  }
+
+  const incoming = dotenv.parse(await fs.readFile(source));
+  const active = dotenv.parse(activeEnv);
+
+  plan.diff = {
+    added: Object.keys(incoming).filter((key) => !(key in active)),
+    removed: Object.keys(active).filter((key) => !(key in incoming)),
+    changed: Object.keys(incoming).filter(
+      (key) => key in active && active[key] !== incoming[key]
+    ),
+  };
+
+  return plan;
+}
+
+function planCdn(currentMetadata, incomingMetadata) {
+  const before =
+    currentMetadata && isCdnMode(currentMetadata)
+      ? currentMetadata.assetPrefix
+      : null;
+  const after = isCdnMode(incomingMetadata)
+    ? incomingMetadata.assetPrefix
+    : null;
+
+  let change = "unchanged";
+  if (!before && after) {
+    change = "added";
+  } else if (before && !after) {
+    change = "removed";
+  } else if (before !== after) {
+    change = "changed";
+  }
+
+  return { change, before, after };
+}
+
+function describeCdn({ change, before, after }) {
+  switch (change) {
+    case "added":
+      return `enabled (${after})`;
+    case "removed":
+      return `disabled (was ${before})`;
+    case "changed":
+      return `asset prefix ${before} -> ${after}`;
+    default:
+      return after ? `unchanged (${after})` : "off";
+  }
+}
+
+async function planServices(target, environment, packageName) {
+  if (!isBlueGreen(environment)) {
+    return [
+      {
+        name: target.serviceName,
+        port: getPort(environment, packageName),
+        action: (await getPm2Service(target.serviceName)) ? "reload" : "start",
+      },
+    ];
+  }
+
+  const activeColor = getActiveColor(environment, packageName);
+  const color = getIdleColor(activeColor);
+  const name = getServiceName(environment, packageName, color);
+
+  return [
+    {
+      name,
+      color,
+      port: getColorPort(environment, packageName, color),
+      action: (await getPm2Service(name)) ? "reload" : "start",
+      trafficFrom: activeColor || "blue",
+    },
+  ];
+}
+
+async function readFileOrNull(filePath) {
+  return (await fs.pathExists(filePath))
+    ? await fs.readFile(filePath, "utf8")
+    : null;
+}
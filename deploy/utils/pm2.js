@@ -0,0 +1,117 @@
+import { execCommand } from "./fileOps.js";
+import { Pm2Error } from "./errors.js";
+import { PROJECT } from "../config.js";
+
+export function getServiceName(environment, packageName, color = null) {
+  const serviceName = `${PROJECT}-${packageName}-${environment}`;
+  return color ? `${serviceName}-${color}` : serviceName;
+}
+
+/**
+ * Reloads a PM2 service, starting it from the ecosystem config if it is not
+ * registered yet
+ */
+export async function startOrReloadService(serviceName, pm2Config, logger) {
+  try {
+    // Try to reload first (if service exists)
+    await execCommand(`pm2 reload "${serviceName}"`);
+    logger.debug(`Reloaded existing PM2 service: ${serviceName}`);
+  } catch (error) {
+    // Service doesn't exist, start it with PM2 config
+    logger.debug(`Service ${serviceName} not found, starting new instance`);
+    try {
+      await execCommand(`pm2 start "${pm2Config}" --only "${serviceName}"`);
+    } catch (startError) {
+      throw new Pm2Error(
+        `Failed to start PM2 service ${serviceName}: ${startError.message}`
+      );
+    }
+    logger.debug(`Started new PM2 service: ${serviceName}`);
+  }
+}
+
+/**
+ * Stops a PM2 service but keeps it registered. Returns false if it was not
+ * registered.
+ */
+export async function stopService(serviceName) {
+  try {
+    await execCommand(`pm2 stop "${serviceName}"`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stops a PM2 service and removes it from the process list. Returns false if
+ * it was not registered.
+ */
+export async function deleteService(serviceName) {
+  try {
+    await execCommand(`pm2 delete "${serviceName}"`);
+    return true;
+  } catch {
+    // PM2 exits non-zero for names it does not know
+    return false;
+  }
+}
+
+/**
+ * Returns the PM2 process entry for a service, or null if it is not registered
+ */
+export async function getPm2Service(serviceName) {
+  try {
+    const { stdout } = await execCommand("pm2 jlist");
+    return (
+      JSON.parse(stdout).find((service) => service.name === serviceName) || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Totals over every instance of a service: how many are online, restarts
+ * so far, the largest memory use and the `max_memory_restart` limit (bytes,
+ * null when unset). Returns null if the service is not registered.
+ */
+export async function getServiceStats(serviceName) {
+  const { stdout } = await execCommand("pm2 jlist");
+  const instances = JSON.parse(stdout).filter(
+    (service) => service.name === serviceName
+  );
+
+  if (instances.length === 0) {
+    return null;
+  }
+
+  return {
+    instances: instances.length,
+    online: instances.filter(
+      (instance) => instance.pm2_env?.status === "online"
+    ).length,
+    restarts: instances.reduce(
+      (total, instance) => total + (instance.pm2_env?.restart_time || 0),
+      0
+    ),
+    memory: Math.max(
+      ...instances.map((instance) => instance.monit?.memory || 0)
+    ),
+    maxMemory: Number(instances[0].pm2_env?.max_memory_restart) || null,
+  };
+}
+
+/**
+ * Waits for PM2 to settle and reports whether the service is online
+ */
+export async function isServiceOnline(serviceName, settleDelay = 3000) {
+  await new Promise((resolve) => setTimeout(resolve, settleDelay));
+
+  try {
+    const { stdout } = await execCommand(`pm2 describe "${serviceName}"`);
+    return stdout.includes("online");
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,257 @@
+import fs from "fs-extra";
+import { createServer } from "net";
+import { join } from "path";
+import { getPreviewStateFile, getVersionFile } from "./paths.js";
+import { acquireDeployLock } from "./lock.js";
+import { deleteService, getServiceName } from "./pm2.js";
+import { ValidationError } from "./errors.js";
+import { PATHS, PACKAGES, PORTS, GREEN_PORTS, PREVIEWS } from "../config.js";
+
+const PREVIEW_ENVIRONMENT = /^pr-(\d+)$/;
+
+// Shared by every package; copied to .env.pr-<number> on first `preview up`
+const ENV_TEMPLATE = ".env.preview";
+
+export function isPreviewEnvironment(environment) {
+  return PREVIEW_ENVIRONMENT.test(environment);
+}
+
+export function getPreviewEnvironment(pr) {
+  const number = Number(pr);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`Invalid pull request number: ${pr}`);
+  }
+
+  return `pr-${number}`;
+}
+
+/**
+ * Ports allocated to a preview environment by package, or null if there is
+ * no such preview. Synchronous so port lookups stay synchronous.
+ */
+export function getPreviewPorts(environment) {
+  if (!isPreviewEnvironment(environment)) {
+    return null;
+  }
+
+  const state = fs.readJsonSync(getPreviewStateFile(environment), {
+    throws: false,
+  });
+  return state?.ports || null;
+}
+
+export async function readPreview(environment) {
+  const stateFile = getPreviewStateFile(environment);
+  return (await fs.pathExists(stateFile)) ? fs.readJson(stateFile) : null;
+}
+
+/**
+ * Every preview environment with its state, oldest first
+ */
+export async function listPreviews() {
+  if (!(await fs.pathExists(PATHS.deployments))) {
+    return [];
+  }
+
+  const previews = [];
+  for (const entry of await fs.readdir(PATHS.deployments)) {
+    const state = isPreviewEnvironment(entry) && (await readPreview(entry));
+    if (state) {
+      previews.push(state);
+    }
+  }
+
+  return previews.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Creates the state of a preview environment with free ports for every
+ * package, or refreshes `updatedAt` of an existing one. Allocation is
+ * serialized so two previews never get the same ports.
+ */
+export async function reservePreview(environment, options = {}) {
+  const { logger, signal, waitTimeout = 0 } = options;
+  const releaseLock = await acquireDeployLock("preview", "ports", {
+    operation: "preview-ports",
+    waitTimeout,
+    logger,
+    signal,
+  });
+
+  try {
+    const now = new Date().toISOString();
+    const existing = await readPreview(environment);
+
+    if (existing) {
+      const state = { ...existing, updatedAt: now };
+      await writePreview(state);
+      return state;
+    }
+
+    const ports = await allocatePorts(PACKAGES.length);
+    const state = {
+      pr: Number(environment.match(PREVIEW_ENVIRONMENT)[1]),
+      environment,
+      ports: Object.fromEntries(
+        PACKAGES.map((packageName, index) => [packageName, ports[index]])
+      ),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await writePreview(state);
+    logger?.info(
+      `🔌 Allocated ports for ${environment}: ${Object.entries(state.ports)
+        .map(([packageName, port]) => `${packageName}=${port}`)
+        .join(", ")}`
+    );
+    return state;
+  } finally {
+    await releaseLock();
+  }
+}
+
+export async function writePreview(state) {
+  const stateFile = getPreviewStateFile(state.environment);
+  await fs.ensureDir(join(stateFile, ".."));
+  await fs.writeJson(stateFile, state, { spaces: 2 });
+}
+
+/**
+ * Creates dotenv/<package>/.env.pr-<number> from the package's .env.preview
+ * template, filling in {{PR}}, {{ENVIRONMENT}} and {{PORT_<PACKAGE>}}.
+ * Existing files are kept so manual edits survive later deploys.
+ */
+export async function preparePreviewEnvFiles(state, logger) {
+  const variables = {
+    PR: String(state.pr),
+    ENVIRONMENT: state.environment,
+    ...Object.fromEntries(
+      Object.entries(state.ports).map(([packageName, port]) => [
+        `PORT_${packageName.toUpperCase()}`,
+        String(port),
+      ])
+    ),
+  };
+
+  for (const packageName of PACKAGES) {
+    const template = join(PATHS.dotenv, packageName, ENV_TEMPLATE);
+    const envFile = join(
+      PATHS.dotenv,
+      packageName,
+      `.env.${state.environment}`
+    );
+
+    if (await fs.pathExists(envFile)) {
+      logger.debug(`Keeping existing environment file: ${envFile}`);
+      continue;
+    }
+
+    if (!(await fs.pathExists(template))) {
+      logger.debug(`No ${ENV_TEMPLATE} template for ${packageName}`);
+      continue;
+    }
+
+    const content = (await fs.readFile(template, "utf8")).replace(
+      /\{\{(\w+)\}\}/g,
+      (match, name) => variables[name] ?? match
+    );
+    await fs.writeFile(envFile, content);
+    logger.debug(`Created ${envFile} from ${template}`);
+  }
+}
+
+/**
+ * Deletes the PM2 services, deployment tree, version files and environment
+ * files of a preview. Holds every package lock so a running deploy of the
+ * preview finishes (or fails the lock) first.
+ */
+export async function removePreview(environment, options = {}) {
+  const { logger, signal, waitTimeout = 0 } = options;
+  const releaseLocks = [];
+  const removed = { services: [], paths: [] };
+
+  try {
+    for (const packageName of PACKAGES) {
+      releaseLocks.push(
+        await acquireDeployLock(environment, packageName, {
+          operation: "preview-down",
+          waitTimeout,
+          logger,
+          signal,
+        })
+      );
+    }
+
+    for (const packageName of PACKAGES) {
+      const serviceName = getServiceName(environment, packageName);
+      if (await deleteService(serviceName)) {
+        logger.info(`🗑️  Deleted PM2 service: ${serviceName}`);
+        removed.services.push(serviceName);
+      }
+    }
+
+    const paths = [
+      join(PATHS.deployments, environment),
+      ...PACKAGES.flatMap((packageName) => [
+        getVersionFile(environment, packageName),
+        join(PATHS.dotenv, packageName, `.env.${environment}`),
+      ]),
+    ];
+
+    for (const path of paths) {
+      if (await fs.pathExists(path)) {
+        await fs.remove(path);
+        logger.debug(`Removed ${path}`);
+        removed.paths.push(path);
+      }
+    }
+
+    return removed;
+  } finally {
+    for (const releaseLock of releaseLocks) {
+      await releaseLock();
+    }
+  }
+}
+
+/**
+ * Picks ports from the preview range that no environment or other preview
+ * uses and that nothing else on the host is listening on
+ */
+async function allocatePorts(count) {
+  const taken = new Set(
+    [PORTS, GREEN_PORTS].flatMap((ports) =>
+      Object.values(ports).flatMap(Object.values)
+    )
+  );
+  for (const preview of await listPreviews()) {
+    Object.values(preview.ports).forEach((port) => taken.add(port));
+  }
+
+  const { min, max } = PREVIEWS.portRange;
+  const ports = [];
+
+  for (let port = min; port <= max && ports.length < count; port++) {
+    if (!taken.has(port) && (await isPortAvailable(port))) {
+      ports.push(port);
+    }
+  }
+
+  if (ports.length < count) {
+    throw new ValidationError(
+      `Not enough free preview ports in range ${min}-${max}`
+    );
+  }
+
+  return ports;
+}
+
+function isPortAvailable(port) {
+  return new Promise((resolve) => {
+    const server = createServer();
+    server.once("error", () => resolve(false));
+    server.listen(port, () => server.close(() => resolve(true)));
+  });
+}
@@ -0,0 +1,94 @@
+import fs from "fs-extra";
+import { join } from "path";
+import dotenv from "dotenv";
+import { getVersionHistory } from "./versions.js";
+import { validateRollbackTarget } from "./rollback.js";
+import { ValidationError } from "./errors.js";
+import { PATHS } from "../config.js";
+
+/**
+ * Finds the release to promote: the deployment of `commit` (full or short
+ * hash, most recent attempt) or the active deployment of the source environment
+ */
+export async function findPromotionSource(environment, packageName, commit) {
+  const versionHistory = await getVersionHistory(environment, packageName);
+
+  const candidates = versionHistory.deployments
+    .filter((deployment) =>
+      commit
+        ? deployment.commit === commit || deployment.commit.startsWith(commit)
+        : deployment.status === "active"
+    )
+    .sort(
+      (a, b) =>
+        new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+    );
+
+  if (candidates.length === 0) {
+    throw new ValidationError(
+      commit
+        ? `No ${packageName} deployment of commit ${commit} found in ${environment}`
+        : `No active ${packageName} deployment found in ${environment}`
+    );
+  }
+
+  const source = candidates[0];
+  await validateRollbackTarget(source);
+
+  const metadataFile = join(source.releasePath, "metadata.json");
+  if (!(await fs.pathExists(metadataFile))) {
+    throw new ValidationError(`Release metadata not found: ${metadataFile}`);
+  }
+
+  return { ...source, metadata: await fs.readJson(metadataFile) };
+}
+
+/**
+ * Client builds bake NEXT_PUBLIC_* values and the CDN asset prefix in at
+ * build time, so a client release can only move between environments that
+ * agree on all of them
+ */
+export async function assertClientPromotable(
+  metadata,
+  fromEnvironment,
+  toEnvironment
+) {
+  const fromEnv = await readPublicEnv(fromEnvironment);
+  const toEnv = await readPublicEnv(toEnvironment);
+
+  const differing = [
+    ...new Set([...Object.keys(fromEnv), ...Object.keys(toEnv)]),
+  ].filter((key) => fromEnv[key] !== toEnv[key]);
+
+  if (differing.length > 0) {
+    throw new ValidationError(
+      `Cannot promote client from ${fromEnvironment} to ${toEnvironment}: build-time values differ (${differing.join(
+        ", "
+      )})`
+    );
+  }
+
+  // The CDN prefix comes from the build environment, not from .env files
+  const targetCdnUrl = toEnv.NEXT_PUBLIC_CDN_ASSETS_URL;
+  if (metadata.assetPrefix && targetCdnUrl !== undefined) {
+    if (targetCdnUrl !== metadata.assetPrefix) {
+      throw new ValidationError(
+        `Cannot promote client to ${toEnvironment}: release serves CDN assets from ${metadata.assetPrefix}, ${toEnvironment} expects ${targetCdnUrl}`
+      );
+    }
+  }
+}
+
+async function readPublicEnv(environment) {
+  const envFile = join(PATHS.dotenv, "client", `.env.${environment}`);
+
+  if (!(await fs.pathExists(envFile))) {
+    throw new ValidationError(`Environment file not found: ${envFile}`);
+  }
+
+  const parsed = dotenv.parse(await fs.readFile(envFile));
+
+  return Object.fromEntries(
+    Object.entries(parsed).filter(([key]) => key.startsWith("NEXT_PUBLIC_"))
+  );
+}
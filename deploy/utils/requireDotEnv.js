@@ -3,4 +3,6 @@ import path from "path";
 
 dotenv.config({
   path: path.join(import.meta.dirname, "../.env"),
+  // dotenv 17 logs to stdout by default, which would corrupt --json output
+  quiet: true,
 });
@@ -1,6 +1,17 @@
 import fs from "fs-extra";
-import { join } from "path";
-import { getVersionHistory } from "./versions.js";
+import { join, basename } from "path";
+import { getVersionHistory, recordRevert } from "./versions.js";
+import { getDeploymentPaths } from "./paths.js";
+import { updateSymlink } from "./fileOps.js";
+import { healthCheck, getHealthCheckUrl } from "./healthCheck.js";
+import {
+  getServiceName,
+  startOrReloadService,
+  isServiceOnline,
+} from "./pm2.js";
+import { getColorPort } from "./colors.js";
+import { switchTraffic } from "./blueGreen.js";
+import { HealthCheckError, Pm2Error, ValidationError } from "./errors.js";
 
 export async function findRollbackTarget(
   environment,
@@ -10,7 +21,7 @@ export async function findRollbackTarget(
   const versionHistory = await getVersionHistory(environment, packageName);
 
   if (!versionHistory.deployments || versionHistory.deployments.length === 0) {
-    throw new Error(
+    throw new ValidationError(
       `No deployment history found for ${packageName} in ${environment}`
     );
   }
@@ -28,7 +39,9 @@ export async function findRollbackTarget(
   );
 
   if (commitDeployments.length === 0) {
-    throw new Error(`No deployments found for commit: ${options.commit}`);
+    throw new ValidationError(
+      `No deployments found for commit: ${options.commit}`
+    );
   }
 
   // If specific attempt requested, find exact match
@@ -49,7 +62,7 @@ function findPreviousDeployment(versionHistory) {
   );
 
   if (inactiveDeployments.length === 0) {
-    throw new Error("No previous deployments available for rollback");
+    throw new ValidationError("No previous deployments available for rollback");
   }
 
   // Sort by timestamp, newest first
@@ -70,7 +83,7 @@ function findSpecificAttempt(commitDeployments, attemptTimestamp) {
   });
 
   if (!matchingDeployment) {
-    throw new Error(
+    throw new ValidationError(
       `No deployment attempt found for timestamp: ${attemptTimestamp}`
     );
   }
@@ -80,13 +93,13 @@ function findSpecificAttempt(commitDeployments, attemptTimestamp) {
 
 export async function validateRollbackTarget(rollbackTarget) {
   if (!rollbackTarget.releasePath) {
-    throw new Error("Rollback target missing release path");
+    throw new ValidationError("Rollback target missing release path");
   }
 
   // Check if the target deployment directory still exists
   const targetExists = await fs.pathExists(rollbackTarget.releasePath);
   if (!targetExists) {
-    throw new Error(
+    throw new ValidationError(
       `Rollback target directory not found: ${rollbackTarget.releasePath}`
     );
   }
@@ -95,7 +108,7 @@ export async function validateRollbackTarget(rollbackTarget) {
   const packagePath = join(rollbackTarget.releasePath, "packages");
   const packageExists = await fs.pathExists(packagePath);
   if (!packageExists) {
-    throw new Error(
+    throw new ValidationError(
       `Invalid rollback target: missing packages directory in ${rollbackTarget.releasePath}`
     );
   }
@@ -126,6 +139,101 @@ export function getRollbackCandidates(versionHistory, limit = 5) {
   }));
 }
 
+/**
+ * Points `current` back at the release that was active before a failed
+ * cutover, reloads PM2 and re-verifies the production health check.
+ * In blue/green mode traffic is switched back to the still-warm previous
+ * colour instead of reloading; `previous` names that colour and the PM2
+ * service serving it (the legacy service before the first colour switch).
+ * The outcome is recorded in version history and returned; this never throws.
+ * `details` are kept on the outcome, e.g. the watch verdict that caused it.
+ */
+export async function revertCutover(
+  environment,
+  packageName,
+  previousReleasePath,
+  failedCommit,
+  logger,
+  { color: previousColor = null, serviceName: previousServiceName = null } = {},
+  details = {}
+) {
+  const paths = getDeploymentPaths(environment, packageName);
+  const serviceName =
+    previousServiceName ||
+    (previousColor
+      ? getServiceName(environment, packageName, previousColor)
+      : getServiceName(environment, packageName));
+  const versionHistory = await getVersionHistory(environment, packageName);
+  const previousDeployment = versionHistory.deployments.find(
+    (deployment) => deployment.releasePath === previousReleasePath
+  );
+
+  const outcome = {
+    revertedTo: previousDeployment?.version || basename(previousReleasePath),
+    commit: previousDeployment?.commit || null,
+    releasePath: previousReleasePath,
+    failedCommit,
+    timestamp: new Date().toISOString(),
+    restored: false,
+    healthy: false,
+    ...details,
+  };
+
+  try {
+    logger.step(`Reverting cutover to ${outcome.revertedTo}`);
+
+    if (previousColor) {
+      outcome.color = previousColor;
+      await switchTraffic(environment, packageName, previousColor, logger);
+    }
+
+    await updateSymlink(previousReleasePath, paths.current);
+    outcome.restored = true;
+
+    // The previous colour is still running, so only reload the classic service
+    if (!previousColor) {
+      await startOrReloadService(serviceName, paths.pm2Config, logger);
+    }
+
+    if (!(await isServiceOnline(serviceName))) {
+      throw new Pm2Error(
+        `PM2 service ${serviceName} is not online after revert`
+      );
+    }
+
+    const prodUrl = getHealthCheckUrl(
+      environment,
+      packageName,
+      previousColor && getColorPort(environment, packageName, previousColor)
+    );
+    if (
+      !(await healthCheck(prodUrl, {
+        packageName,
+        commit: outcome.commit,
+        logger,
+      }))
+    ) {
+      throw new HealthCheckError(
+        `Health check failed after revert: ${prodUrl}`
+      );
+    }
+
+    outcome.healthy = true;
+    logger.success(`Reverted to ${outcome.revertedTo}`);
+  } catch (error) {
+    outcome.error = error.message;
+    logger.error(`Automatic revert failed: ${error.message}`);
+  }
+
+  try {
+    await recordRevert(environment, packageName, outcome);
+  } catch (error) {
+    logger.warn(`Failed to record revert outcome: ${error.message}`);
+  }
+
+  return outcome;
+}
+
 function getRelativeTime(timestamp) {
   const now = new Date();
   const deployTime = new Date(timestamp);
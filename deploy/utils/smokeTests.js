@@ -0,0 +1,201 @@
+import { join } from "path";
+import { checkEndpoint } from "./healthCheck.js";
+import { readReleaseEnv, runHookCommand } from "./hooks.js";
+import { ValidationError } from "./errors.js";
+import { SMOKE_TESTS } from "../config.js";
+
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+const EXPECT_KEYS = [
+  "status",
+  "headers",
+  "json",
+  "contains",
+  "maxResponseTime",
+];
+
+/**
+ * Reads the smoke tests declared under the `smokeTests` key of metadata.json:
+ * HTTP `checks` against the release's server and/or a `script` to run with
+ * its base URL. Returns null when the release declares none.
+ */
+export function loadSmokeTests(metadata = {}) {
+  const declared = metadata.smokeTests;
+
+  if (!declared) {
+    return null;
+  }
+
+  const checks = (declared.checks || []).map((check, index) => {
+    const at = `smokeTests.checks[${index}]`;
+
+    if (typeof check.path !== "string" || !check.path.startsWith("/")) {
+      throw new ValidationError(`${at} needs a path starting with "/"`);
+    }
+
+    const method = (check.method || "GET").toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new ValidationError(
+        `${at} has invalid method "${check.method}" (${METHODS.join("|")})`
+      );
+    }
+
+    const expect = check.expect || {};
+    const unknown = Object.keys(expect).find(
+      (key) => !EXPECT_KEYS.includes(key)
+    );
+    if (unknown) {
+      throw new ValidationError(
+        `${at}.expect has unknown key "${unknown}" (${EXPECT_KEYS.join(", ")})`
+      );
+    }
+
+    // Objects are sent as JSON
+    const json = check.body !== undefined && typeof check.body !== "string";
+
+    return {
+      name: check.name || `${method} ${check.path}`,
+      path: check.path,
+      method,
+      headers: {
+        ...(json && { "content-type": "application/json" }),
+        ...check.headers,
+      },
+      body: json ? JSON.stringify(check.body) : check.body,
+      expect,
+      timeout: check.timeout,
+    };
+  });
+
+  const script =
+    typeof declared.script === "string"
+      ? { command: declared.script }
+      : declared.script;
+
+  if (script && !script.command) {
+    throw new ValidationError("smokeTests.script has no command");
+  }
+
+  if (checks.length === 0 && !script) {
+    throw new ValidationError("smokeTests declares no checks and no script");
+  }
+
+  return {
+    checks,
+    script: script && {
+      name: script.name || script.command,
+      command: script.command,
+      timeout: script.timeout || SMOKE_TESTS.scriptTimeout,
+    },
+  };
+}
+
+/**
+ * Runs every smoke check against `baseUrl`, then the smoke script, and
+ * returns `{ phase, passed, durationMs, checks }` with each check's result
+ * and timing. A failing check does not stop the others; the caller decides
+ * what a failed run means.
+ */
+export async function runSmokeTests(smokeTests, context, logger) {
+  const {
+    baseUrl,
+    phase,
+    releasePath,
+    packageName,
+    environment,
+    commit,
+    signal,
+  } = context;
+  const startedAt = Date.now();
+  const checks = [];
+
+  logger.info(`💨 Running smoke tests against ${phase} (${baseUrl})`);
+
+  for (const check of smokeTests.checks) {
+    signal?.throwIfAborted();
+
+    const checkStartedAt = Date.now();
+    const failure = await checkEndpoint(
+      `${baseUrl}${check.path}`,
+      { method: check.method, timeout: check.timeout, ...check.expect },
+      commit,
+      SMOKE_TESTS.requestTimeout,
+      { headers: check.headers, body: check.body }
+    );
+
+    checks.push(
+      logResult(logger, check.name, Date.now() - checkStartedAt, failure)
+    );
+  }
+
+  if (smokeTests.script) {
+    const { script } = smokeTests;
+    const packagePath = join(releasePath, "packages", packageName);
+    const env = {
+      ...process.env,
+      ...(await readReleaseEnv(packagePath)),
+      NODE_ENV: "production",
+      DEPLOY_ENV: environment,
+      DEPLOY_COMMIT: commit,
+      DEPLOY_RELEASE_PATH: releasePath,
+      SMOKE_PHASE: phase,
+      SMOKE_BASE_URL: baseUrl,
+    };
+
+    const scriptStartedAt = Date.now();
+    let failure = null;
+
+    try {
+      await runHookCommand(script, packagePath, env, logger, signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      failure = { message: error.message };
+    }
+
+    checks.push(
+      logResult(logger, script.name, Date.now() - scriptStartedAt, failure)
+    );
+  }
+
+  return {
+    phase,
+    passed: checks.every((check) => check.passed),
+    durationMs: Date.now() - startedAt,
+    checks,
+  };
+}
+
+/**
+ * Passed/total per run on one line, e.g. "isolated 4/5, production 5/5"
+ */
+export function summarizeSmokeTests(runs) {
+  return runs
+    .map(
+      (run) =>
+        `${run.phase} ${run.checks.filter((check) => check.passed).length}/${
+          run.checks.length
+        }`
+    )
+    .join(", ");
+}
+
+/**
+ * Names and reasons of a run's failed checks, for error messages
+ */
+export function describeSmokeFailures(run) {
+  return run.checks
+    .filter((check) => !check.passed)
+    .map((check) => `${check.name} (${check.error})`)
+    .join(", ");
+}
+
+function logResult(logger, name, durationMs, failure) {
+  if (failure) {
+    logger.warn(`✗ ${name} (${durationMs}ms): ${failure.message}`);
+    return { name, passed: false, durationMs, error: failure.message };
+  }
+
+  logger.info(`✓ ${name} (${durationMs}ms)`);
+  return { name, passed: true, durationMs };
+}
@@ -37,6 +37,49 @@ export async function updateVersionTracking(
     releasePath: deployment.releasePath,
   };
 
+  // Packages deployed together from one commit share a group ID
+  if (deployment.group) {
+    newDeployment.group = deployment.group;
+  }
+
+  // Recorded so a later promotion can apply the target's signature policy
+  if (deployment.integrity) {
+    newDeployment.integrity = deployment.integrity;
+  }
+
+  if (deployment.promotedFrom) {
+    newDeployment.promotedFrom = deployment.promotedFrom;
+  }
+
+  if (deployment.install) {
+    newDeployment.install = deployment.install;
+  }
+
+  // Deployed during a freeze window: which one, why and by whom
+  if (deployment.freezeOverride) {
+    newDeployment.freezeOverride = deployment.freezeOverride;
+  }
+
+  // Approval mode: who approved the cutover, when and how
+  if (deployment.approval) {
+    newDeployment.approval = deployment.approval;
+  }
+
+  // Watch window verdict, when the release was watched after cutover
+  if (deployment.watch) {
+    newDeployment.watch = deployment.watch;
+  }
+
+  // Load probe before cutover, next to the live release's numbers
+  if (deployment.perfCheck) {
+    newDeployment.perfCheck = deployment.perfCheck;
+  }
+
+  // Activated by `rollback --skip-health-check`, never checked in isolation
+  if (deployment.healthCheckSkipped) {
+    newDeployment.healthCheckSkipped = true;
+  }
+
   // Mark previous deployment as inactive
   versionData.deployments.forEach((dep) => {
     if (dep.status === "active" && dep.packages.includes(packageName)) {
@@ -67,3 +110,18 @@ export async function getVersionHistory(environment, packageName) {
     return { current: null, deployments: [] };
   }
 }
+
+export async function recordRevert(environment, packageName, revert) {
+  const versionFile = getVersionFile(environment, packageName);
+
+  await fs.ensureDir(join(versionFile, ".."));
+
+  const versionData = await getVersionHistory(environment, packageName);
+
+  // Reverts are kept apart from deployments so they never become rollback candidates
+  versionData.reverts = [revert, ...(versionData.reverts || [])];
+
+  await fs.writeJson(versionFile, versionData, { spaces: 2 });
+
+  return versionData;
+}
@@ -0,0 +1,143 @@
+import { healthCheck } from "./healthCheck.js";
+import { getServiceStats } from "./pm2.js";
+import { delay } from "./cancellation.js";
+import { DEPLOY_CONFIG, WATCH } from "../config.js";
+
+/**
+ * Watch settings of a deploy: the environment's `watch` setting over the
+ * defaults, with `duration` (seconds) taken from --watch when given. Returns
+ * null when the release is not watched.
+ */
+export function getWatchSettings(environment, duration) {
+  const settings = {
+    ...WATCH,
+    ...DEPLOY_CONFIG.environments[environment]?.watch,
+  };
+
+  if (duration !== undefined) {
+    settings.duration = Number(duration);
+  }
+
+  return settings.duration > 0 ? settings : null;
+}
+
+/**
+ * Samples PM2 stats and the production health endpoint of every release
+ * each `interval` seconds for `duration` seconds, stopping at the first
+ * breached threshold. Returns the verdict, `passed` or `degraded` with the
+ * reason, plus what was seen per package.
+ *
+ * `releases` are `{ packageName, serviceName, healthUrl, commit }`.
+ */
+export async function watchReleases(releases, settings, logger, signal) {
+  const startedAt = new Date();
+  const deadline = startedAt.getTime() + settings.duration * 1000;
+  const packages = {};
+
+  // Restarts are counted from here; reloads during cutover do not count
+  for (const release of releases) {
+    const stats = await getServiceStats(release.serviceName).catch(() => null);
+    packages[release.packageName] = {
+      baseline: stats?.restarts || 0,
+      restarts: 0,
+      peakMemory: 0,
+      healthFailures: 0,
+    };
+  }
+
+  let samples = 0;
+  let reason = null;
+
+  while (!reason && Date.now() < deadline) {
+    await delay(
+      Math.min(settings.interval * 1000, deadline - Date.now()),
+      signal
+    );
+    samples++;
+
+    for (const release of releases) {
+      reason = await sampleRelease(
+        release,
+        packages[release.packageName],
+        settings,
+        logger,
+        signal
+      );
+
+      if (reason) {
+        break;
+      }
+    }
+
+    logger.debug(`Watch sample ${samples}: ${reason || "ok"}`);
+  }
+
+  return {
+    status: reason ? "degraded" : "passed",
+    ...(reason && { reason }),
+    duration: settings.duration,
+    startedAt: startedAt.toISOString(),
+    endedAt: new Date().toISOString(),
+    samples,
+    packages: Object.fromEntries(
+      Object.entries(packages).map(([packageName, state]) => [
+        packageName,
+        {
+          restarts: state.restarts,
+          peakMemoryMb: toMb(state.peakMemory),
+          healthFailures: state.healthFailures,
+        },
+      ])
+    ),
+  };
+}
+
+// Returns the breached threshold, or null while the release looks fine
+async function sampleRelease(release, state, settings, logger, signal) {
+  const { packageName, serviceName, healthUrl, commit } = release;
+  const stats = await getServiceStats(serviceName).catch(() => null);
+  let healthy = stats !== null && stats.online === stats.instances;
+
+  if (stats) {
+    state.restarts = stats.restarts - state.baseline;
+    state.peakMemory = Math.max(state.peakMemory, stats.memory);
+
+    if (state.restarts > settings.maxRestarts) {
+      return `${packageName} restarted ${state.restarts} times (limit ${settings.maxRestarts})`;
+    }
+
+    const memoryLimit = (stats.maxMemory * settings.maxMemoryPercent) / 100;
+    if (stats.maxMemory && stats.memory >= memoryLimit) {
+      return `${packageName} uses ${toMb(stats.memory)}MB, over ${
+        settings.maxMemoryPercent
+      }% of its ${toMb(stats.maxMemory)}MB max_memory_restart`;
+    }
+  }
+
+  if (healthy) {
+    healthy = await healthCheck(healthUrl, {
+      packageName,
+      commit,
+      retries: 1,
+      logger,
+      signal,
+    }).catch((error) => {
+      // A cancelled deploy is not a failed sample
+      signal?.throwIfAborted();
+      logger.warn(error.message);
+      return false;
+    });
+  }
+
+  state.healthFailures = healthy ? 0 : state.healthFailures + 1;
+
+  if (state.healthFailures >= settings.maxHealthFailures) {
+    return `${packageName} failed ${state.healthFailures} health checks in a row`;
+  }
+
+  return null;
+}
+
+function toMb(bytes) {
+  return Math.round(bytes / 1024 / 1024);
+}
@@ -20,6 +20,8 @@ DRY_RUN=false
 VERBOSE=false
 KEEP_TEMP=false
 USE_CDN=false
+SIGN_KEY=""
+ARTIFACT_PATH=""
 
 # Logging functions
 log() {
@@ -52,6 +54,7 @@ Options:
   --root <monorepo-root>           Custom monorepo root directory (default: auto-detect)
   --env <main|staging|prod>        Target environment (optional, auto-detected from branch)
   --use-cdn                        Enable CDN mode (exclude static assets, generate manifest)
+  --sign-key <private-key.pem>     Write a detached .sig signature for the artifact
   --dry-run                        Validate setup without collecting
   --verbose                        Detailed logging
   --keep-temp                      Keep temporary files for debugging (default: false)
@@ -70,6 +73,9 @@ Examples:
   # Keep temporary files for debugging
   ./collect-build-artifacts.sh client ./artifacts/ --keep-temp
 
+  # Sign the artifact with the CI signing key
+  ./collect-build-artifacts.sh server ./artifacts/ --sign-key ./signing-key.pem
+
   # Dry run to validate setup
   ./collect-build-artifacts.sh server ./test/ --dry-run
 EOF
@@ -118,6 +124,13 @@ parse_args() {
                 USE_CDN=true
                 shift
                 ;;
+            --sign-key)
+                if [ $# -lt 2 ]; then
+                    error "Option --sign-key requires an argument"
+                fi
+                SIGN_KEY="$2"
+                shift 2
+                ;;
             -h|--help)
                 usage
                 exit 0
@@ -244,6 +257,14 @@ check_dependencies() {
         missing_deps+=("tar")
     fi
 
+    if ! command -v sha256sum >/dev/null 2>&1 && ! command -v shasum >/dev/null 2>&1; then
+        missing_deps+=("sha256sum or shasum")
+    fi
+
+    if [ -n "$SIGN_KEY" ] && ! command -v openssl >/dev/null 2>&1; then
+        missing_deps+=("openssl (required by --sign-key)")
+    fi
+
     # Return to original directory
     cd "$current_dir"
 
@@ -440,6 +461,37 @@ generate_cdn_asset_manifest() {
     esac
 }
 
+# Size and MD5 of every CDN asset, so the deploy CLI can compare them with
+# what the CDN serves even though the artifact leaves static files out
+generate_cdn_asset_digests() {
+    local static_dir="$REPO_ROOT/packages/$PACKAGE/.next/static"
+
+    if [ "$USE_CDN" != true ] || [ "$PACKAGE" != client ] || [ ! -d "$static_dir" ]; then
+        echo "{}"
+        return
+    fi
+
+    verbose_log "Generating CDN asset digests"
+
+    find "$static_dir" -type f | sort | while read -r file; do
+        local relative_path="${file#$static_dir/}"
+        local size
+        local md5
+        size=$(wc -c < "$file" | tr -d ' ')
+        if command -v md5sum >/dev/null 2>&1; then
+            md5=$(md5sum "$file" | cut -d' ' -f1)
+        else
+            md5=$(md5 -q "$file")
+        fi
+        echo "packages/client/.next/static/$relative_path|$size|$md5"
+    done | awk -F'|' '
+    BEGIN { print "{" }
+    {
+        printf "%s  \"%s\": { \"size\": %s, \"md5\": \"%s\" }", (NR > 1 ? ",\n" : ""), $1, $2, $3
+    }
+    END { print "\n}" }'
+}
+
 # Copy build artifacts into pruned workspace
 copy_build_artifacts() {
     local pruned_workspace="$1"
@@ -527,6 +579,8 @@ add_deployment_metadata() {
     # Generate CDN asset manifest
     local cdn_assets_json
     cdn_assets_json=$(generate_cdn_asset_manifest)
+    local cdn_digests_json
+    cdn_digests_json=$(generate_cdn_asset_digests)
 
     # Generate metadata.json
     local metadata_file="$pruned_workspace/metadata.json"
@@ -555,7 +609,8 @@ add_deployment_metadata() {
     "buildTime": "$timestamp"
   },
   "assetPrefix": "$NEXT_PUBLIC_CDN_ASSETS_URL",
-  "cdnAssets": $cdn_assets_json
+  "cdnAssets": $cdn_assets_json,
+  "cdnAssetDigests": $cdn_digests_json
 }
 EOF
         else
@@ -589,7 +644,8 @@ EOF
     "buildTime": "$timestamp"
   },
   "assetPrefix": "$NEXT_PUBLIC_CDN_ASSETS_URL",
-  "cdnAssets": $cdn_assets_json
+  "cdnAssets": $cdn_assets_json,
+  "cdnAssetDigests": $cdn_digests_json
 }
 EOF
         else
@@ -610,6 +666,26 @@ EOF
         fi
     fi
 
+    # Lifecycle hooks are read by the deploy CLI from the artifact root
+    local hooks_file="$REPO_ROOT/packages/$PACKAGE/deploy.hooks.json"
+    if [ -f "$hooks_file" ]; then
+        verbose_log "Including deploy.hooks.json"
+        cp "$hooks_file" "$pruned_workspace/deploy.hooks.json"
+    fi
+
+    # Smoke tests are declared in metadata.json under `smokeTests`
+    local smoke_file="$REPO_ROOT/packages/$PACKAGE/deploy.smoke.json"
+    if [ -f "$smoke_file" ]; then
+        if command -v jq >/dev/null 2>&1; then
+            verbose_log "Including smoke tests from deploy.smoke.json"
+            jq --slurpfile smoke "$smoke_file" '.smokeTests = $smoke[0]' \
+                "$metadata_file" > "$metadata_file.tmp"
+            mv "$metadata_file.tmp" "$metadata_file"
+        else
+            error "jq is required to include smoke tests from $smoke_file"
+        fi
+    fi
+
     verbose_log "Deployment metadata added successfully"
 }
 
@@ -649,6 +725,8 @@ package_artifact() {
         error "Failed to create artifact: $artifact_path"
     fi
 
+    ARTIFACT_PATH="$artifact_path"
+
     # Get artifact size for logging
     local artifact_size
     artifact_size=$(du -h "$artifact_path" | cut -f1)
@@ -662,6 +740,38 @@ package_artifact() {
     log "  Commit: $commit_hash"
 }
 
+# Write sha256 sidecar and optional detached signature next to the artifact
+write_integrity_files() {
+    local artifact_dir artifact_name checksum
+
+    if [ "$DRY_RUN" = true ]; then
+        verbose_log "DRY RUN: Would write checksum and signature files"
+        return
+    fi
+
+    artifact_dir="$(dirname "$ARTIFACT_PATH")"
+    artifact_name="$(basename "$ARTIFACT_PATH")"
+
+    # Same format as `sha256sum`, so `sha256sum -c` works on the sidecar
+    if command -v sha256sum >/dev/null 2>&1; then
+        checksum=$(sha256sum "$ARTIFACT_PATH" | cut -d' ' -f1)
+    else
+        checksum=$(shasum -a 256 "$ARTIFACT_PATH" | cut -d' ' -f1)
+    fi
+    echo "$checksum  $artifact_name" > "$artifact_dir/$artifact_name.sha256"
+    log "  SHA256: $checksum"
+
+    if [ -n "$SIGN_KEY" ]; then
+        if [ ! -f "$SIGN_KEY" ]; then
+            error "Signing key not found: $SIGN_KEY"
+        fi
+
+        verbose_log "Signing artifact with $SIGN_KEY"
+        openssl dgst -sha256 -sign "$SIGN_KEY" -out "$artifact_dir/$artifact_name.sig" "$ARTIFACT_PATH"
+        log "  Signature: $artifact_dir/$artifact_name.sig"
+    fi
+}
+
 # Cleanup temporary files
 cleanup_temp_files() {
     local temp_dir="$OUTPUT_DIR/.temp-prune-$$"
@@ -737,6 +847,7 @@ main() {
     copy_build_artifacts "$pruned_workspace"
     add_deployment_metadata "$pruned_workspace"
     package_artifact "$pruned_workspace"
+    write_integrity_files
 
     # Cleanup temporary files (automatic unless --keep-temp is used)
     cleanup_temp_files